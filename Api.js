@@ -0,0 +1,269 @@
+/**
+ * @fileoverview JSON logging API for phone shortcuts, watches and scripts.
+ * POST a JSON body to the web app URL (see QuickLog.js for deployment):
+ *   {"token": "...", "habitId": "H001", "count": 2, "status": "Completed", "comment": "", "date": "2026-10-18"}
+ *   {"token": "...", "entries": [{"habitId": "H001"}, {"habitId": "H003", "amount": 5}]}
+ *   {"token": "...", "action": "status"}
+ * The token goes in the JSON body only, never in the URL, where it would end up in browser
+ * history, proxy logs and Referer headers. It is kept in script properties (menu: Generate API Token)
+ * and grants write access to the spreadsheet, so keep it secret and rotate it if it leaks.
+ * Entries go through processNewEntry, so they follow the same rules as form submissions.
+ */
+
+/**
+ * Script property holding the API token.
+ */
+const API_TOKEN_PROPERTY = 'habitTrackerApiToken';
+
+/**
+ * Most entries accepted in one batch request.
+ */
+const API_MAX_BATCH_SIZE = 100;
+
+/**
+ * Checks a token against the API token. Always false while no token has been generated.
+ * @param {string} token The token from the request.
+ * @return {boolean} True if the token is valid.
+ */
+function isValidApiToken(token) {
+  const apiToken = PropertiesService.getScriptProperties().getProperty(API_TOKEN_PROPERTY);
+  return Boolean(apiToken) && constantTimeEquals(String(token || ''), apiToken);
+}
+
+/**
+ * Compares two strings in time that depends only on their length, so response times
+ * don't reveal how much of a guessed token was right.
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @return {boolean} True if the strings are equal.
+ */
+function constantTimeEquals(a, b) {
+  let difference = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    difference |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return difference === 0;
+}
+
+/**
+ * Handles POST requests to the web app.
+ * @param {Object} e The doPost event object.
+ * @return {GoogleAppsScript.Content.TextOutput} The JSON response.
+ */
+function doPost(e) {
+  let request;
+  try {
+    request = JSON.parse((e && e.postData && e.postData.contents) || '{}');
+  } catch (error) {
+    return createJsonResponse({ ok: false, error: 'The request body is not valid JSON.' });
+  }
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    return createJsonResponse({ ok: false, error: 'The request body must be a JSON object.' });
+  }
+  return createJsonResponse(handleApiRequest(request));
+}
+
+/**
+ * Authenticates an API request and runs it.
+ * @param {Object} request The parsed request: token, optional action ('log' or 'status'),
+ *     and either a single entry's fields or an entries array.
+ * @return {Object} The response object; ok is false when the request as a whole failed.
+ */
+function handleApiRequest(request) {
+  try {
+    if (!PropertiesService.getScriptProperties().getProperty(API_TOKEN_PROPERTY)) {
+      return { ok: false, error: 'The API is disabled until a token is generated (My Habit Tracker > Generate API Token).' };
+    }
+    if (!isValidApiToken(request.token)) {
+      log('WARN', 'API request rejected: invalid token.');
+      return { ok: false, error: 'Invalid token.' };
+    }
+
+    const action = request.action || 'log';
+    if (action === 'status') {
+      return { ok: true, todayKey: getTodayKey(), habits: getApiHabitStatus(request.person) };
+    }
+    if (action !== 'log') {
+      return { ok: false, error: `Unknown action: ${action}` };
+    }
+
+    const entries = Array.isArray(request.entries) ? request.entries : [request];
+    if (entries.length === 0) {
+      return { ok: false, error: 'No entries given.' };
+    }
+    if (entries.length > API_MAX_BATCH_SIZE) {
+      return { ok: false, error: `At most ${API_MAX_BATCH_SIZE} entries can be logged per request.` };
+    }
+
+    const results = logApiEntries(entries);
+    const acceptedCount = results.filter(result => result.ok).length;
+    if (acceptedCount > 0 && request.refreshDashboard) {
+      updateDashboard();
+    }
+    log('INFO', `API request logged ${acceptedCount} of ${entries.length} entries.`);
+
+    return { ok: true, accepted: acceptedCount, rejected: entries.length - acceptedCount, results: results };
+
+  } catch (error) {
+    log('ERROR', 'Failed to handle API request:', error.message, error.stack);
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Validates API entries against Habits_Main and logs the valid ones through processNewEntry.
+ * @param {Array<Object>} entries The entries: habitId (required), count, status, comment,
+ *     date ('yyyy-MM-dd'), amount, excusedReason and person (all optional).
+ * @return {Array<{index: number, ok: boolean, habitId: (string|undefined), dayKey: (string|undefined), error: (string|undefined)}>}
+ *     One result per entry, in order.
+ */
+function logApiEntries(entries) {
+  const habitsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.HABITS);
+  const habitsById = {};
+  if (habitsSheet.getLastRow() > 1) {
+    habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, 7).getValues() // Columns A (HabitID) to G (Status)
+      .filter(row => row[0])
+      .forEach(row => habitsById[row[0]] = row);
+  }
+
+  return entries.map((entry, index) => {
+    const error = validateApiEntry(entry, habitsById);
+    if (error) {
+      return { index: index, ok: false, habitId: entry && entry.habitId, error: error };
+    }
+
+    const habit = habitsById[entry.habitId];
+    const result = processNewEntry(buildEntryData({
+      habitName: habit[1],
+      habitId: habit[0],
+      status: entry.status,
+      count: entry.count,
+      comments: entry.comment,
+      dayKey: entry.date,
+      excusedReason: entry.excusedReason,
+      amount: entry.amount,
+      person: entry.person
+    }));
+    return result.accepted ?
+      { index: index, ok: true, habitId: result.habitId, dayKey: result.dayKey } :
+      { index: index, ok: false, habitId: habit[0], error: result.reason };
+  });
+}
+
+/**
+ * Checks an API entry's fields before it is logged.
+ * Dates, StartDates and ownership are checked by processNewEntry itself.
+ * @param {Object} entry The entry from the request.
+ * @param {Object<string, Array>} habitsById Habits_Main rows by HabitID.
+ * @return {?string} Why the entry is invalid, or null if it can be logged.
+ */
+function validateApiEntry(entry, habitsById) {
+  if (!entry || typeof entry !== 'object') return 'Each entry must be a JSON object.';
+  if (!entry.habitId) return 'habitId is required.';
+
+  const habit = habitsById[entry.habitId];
+  if (!habit) return `Habit not found: ${entry.habitId}`;
+  if (habit[6] === 'Completed') return `${habit[1]} is Completed and can no longer be logged.`; // Column G is Status
+
+  if (entry.status !== undefined && ['Completed', 'Missed', 'Excused'].indexOf(entry.status) === -1) {
+    return 'status must be Completed, Missed or Excused.';
+  }
+  if (entry.count !== undefined && (entry.count === '' || !Number.isInteger(Number(entry.count)) || Number(entry.count) < 0)) {
+    return 'count must be a whole number of at least 0.';
+  }
+  if (entry.amount !== undefined && entry.amount !== '' && !(Number(entry.amount) >= 0)) {
+    return 'amount must be a number of at least 0.';
+  }
+  if (entry.date !== undefined && entry.date !== '' && !/^\d{4}-\d{2}-\d{2}$/.test(String(entry.date))) {
+    return 'date must be in yyyy-MM-dd format.';
+  }
+  return null;
+}
+
+/**
+ * Gets today's status of every Active habit: progress toward the current period's
+ * target, whether it is on target, and its current and longest streak.
+ * @param {string=} person Only this person's habits and habits without an owner, if given.
+ * @return {Array<Object>} One status object per habit, grouped by owner and category.
+ */
+function getApiHabitStatus(person) {
+  const habitsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.HABITS);
+  if (habitsSheet.getLastRow() < 2) return [];
+
+  const config = getConfig();
+  const todayKey = getTodayKey();
+  const rollupIndex = loadRollupIndex();
+  const pausedIntervalsByHabit = loadPausedIntervals();
+  const habitsData = habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, 17).getValues(); // Through column Q (Owner)
+
+  return sortHabitsByOwner(sortHabitsByCategory(habitsData.filter(row => row[0] && row[6] === 'Active'))) // Column G is Status
+    .filter(habit => !person || !getHabitOwner(habit) || isSamePerson(getHabitOwner(habit), person))
+    .map(habit => {
+      const schedule = getHabitSchedule(habit, config.weekStartsOn);
+      const habitDays = rollupIndex[habit[0]] || {};
+      const periodKey = getPeriodStartKey(schedule, todayKey);
+
+      // Streaks start at the StartDate, or the first logged day if earlier (as in updateStreakHistory)
+      const loggedKeys = Object.keys(habitDays).sort();
+      let startKey = habit[2] ? getCalendarDayKey(habit[2]) : null; // Column C is StartDate
+      if (loggedKeys.length > 0 && (!startKey || loggedKeys[0] < startKey)) {
+        startKey = loggedKeys[0];
+      }
+      const streaks = startKey ? buildStreakRuns(habitDays, {
+        startKey: startKey,
+        schedule: schedule,
+        pausedIntervals: pausedIntervalsByHabit[habit[0]] || [],
+        allowance: parseStreakAllowance(habit[10]) // StreakAllowance column (K)
+      }) : { runs: [], longest: { length: 0, setOnKey: null } };
+
+      return {
+        habitId: habit[0],
+        habitName: habit[1],
+        owner: getHabitOwner(habit),
+        category: getHabitCategory(habit),
+        schedule: schedule.label,
+        target: getTargetOnDate(schedule, todayKey),
+        targetLabel: formatScheduleTarget(schedule, todayKey),
+        periodStart: periodKey,
+        progress: getHabitProgressForPeriod(habitDays, schedule, periodKey, todayKey),
+        dueToday: isDayDue(schedule, todayKey),
+        onTarget: isHabitOnTargetToday(habitDays, schedule, todayKey),
+        currentStreak: getCurrentStreak(streaks.runs).streak,
+        longestStreak: streaks.longest.length,
+        streakUnit: getPeriodUnit(schedule)
+      };
+    });
+}
+
+/**
+ * Wraps a response object as JSON output.
+ * @param {Object} response The response object.
+ * @return {GoogleAppsScript.Content.TextOutput} The JSON output.
+ */
+function createJsonResponse(response) {
+  return ContentService.createTextOutput(JSON.stringify(response)).setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Menu command: generates a new API token, replacing any previous one, and shows it.
+ */
+function generateApiTokenFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const properties = PropertiesService.getScriptProperties();
+    if (properties.getProperty(API_TOKEN_PROPERTY)) {
+      const confirm = ui.alert('Generate API Token', 'This replaces the current token, so existing shortcuts, scripts and quick-log links will stop working until updated. Continue?', ui.ButtonSet.YES_NO);
+      if (confirm !== ui.Button.YES) return;
+    }
+
+    const token = Utilities.getUuid();
+    properties.setProperty(API_TOKEN_PROPERTY, token);
+    log('INFO', 'Generated a new API token.');
+    ui.alert('Generate API Token', `Your API token is:\n\n${token}\n\nSend it as "token" in the JSON body of POST requests. The quick log opens at the web app URL with ?token=. The token grants write access to this spreadsheet: keep it secret, and generate a new one if it leaks.`, ui.ButtonSet.OK);
+
+  } catch (error) {
+    log('ERROR', 'Failed to generate API token:', error.message, error.stack);
+    ui.alert('Token Generation Failed', `Error: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Backfill command for logging a date range for several habits at once.
+ * Entries go through processNewEntry, so the same future-date and StartDate guards apply.
+ */
+
+/**
+ * Menu command: prompts for habits, a date range and a count, then logs one entry
+ * per habit per due day. Off-days and days that already have an entry are skipped.
+ */
+function backfillHabitEntries() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const habitInput = promptForText(ui, 'Backfill Entries',
+      'Enter the HabitIDs or habit names to backfill, separated by commas (e.g. H001, H003):');
+    if (habitInput === null) return;
+
+    const startInput = promptForText(ui, 'Backfill Entries', 'First day to backfill (yyyy-MM-dd):');
+    if (startInput === null) return;
+
+    const endInput = promptForText(ui, 'Backfill Entries', 'Last day to backfill (yyyy-MM-dd). Leave blank for a single day:');
+    if (endInput === null) return;
+
+    const countInput = promptForText(ui, 'Backfill Entries',
+      'Completions per day (or amount, for habits with a TargetAmount). Leave blank to use each habit\'s target:');
+    if (countInput === null) return;
+
+    const startKey = parseDayKey(startInput);
+    const endKey = endInput.trim() ? parseDayKey(endInput) : startKey;
+    if (!startKey || !endKey || endKey < startKey) {
+      ui.alert('Backfill Entries', 'Please enter a valid date range (yyyy-MM-dd).', ui.ButtonSet.OK);
+      return;
+    }
+
+    const habits = resolveHabitsFromInput(habitInput);
+    if (habits.length === 0) {
+      ui.alert('Backfill Entries', 'None of the habits you entered were found in Habits_Main.', ui.ButtonSet.OK);
+      return;
+    }
+
+    const loggedDays = getLoggedHabitDays();
+    const weekStartsOn = getConfig().weekStartsOn;
+    const summary = { logged: 0, skipped: 0, rejected: [] };
+
+    habits.forEach(habit => {
+      const habitId = habit[0];
+      const habitName = habit[1];
+      const schedule = getHabitSchedule(habit, weekStartsOn);
+      const isQuantitative = schedule.measure === 'amount';
+      const inputValue = countInput.trim() && !isNaN(parseFloat(countInput)) ? parseFloat(countInput) : null;
+
+      for (let dayKey = startKey; dayKey <= endKey; dayKey = addDaysToKey(dayKey, 1)) {
+        if (loggedDays.has(`${habitId}|${dayKey}`) || !isDayDue(schedule, dayKey)) {
+          summary.skipped++;
+          continue;
+        }
+        const value = inputValue !== null ? inputValue : getTargetOnDate(schedule, dayKey);
+
+        const result = processNewEntry(buildEntryData({
+          habitName: habitName,
+          habitId: habitId,
+          count: isQuantitative ? 1 : Math.round(value),
+          amount: isQuantitative ? value : null,
+          comments: 'Backfilled',
+          dayKey: dayKey
+        }));
+
+        if (result.accepted) {
+          summary.logged++;
+        } else {
+          summary.rejected.push(`${habitName} ${dayKey}: ${result.reason}`);
+        }
+      }
+    });
+
+    if (summary.logged > 0) {
+      updateDashboard();
+    }
+
+    log('INFO', `Backfill complete. Logged: ${summary.logged}, skipped: ${summary.skipped}, rejected: ${summary.rejected.length}`);
+
+    let message = `Logged ${summary.logged} entries.\nSkipped ${summary.skipped} days that already had an entry or were off-days.`;
+    if (summary.rejected.length > 0) {
+      message += `\n\nRejected ${summary.rejected.length}:\n• ` + summary.rejected.slice(0, 10).join('\n• ');
+    }
+    ui.alert('Backfill Complete', message, ui.ButtonSet.OK);
+
+  } catch (error) {
+    log('ERROR', 'Backfill failed:', error.message, error.stack);
+    ui.alert('Backfill Failed', `Error: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Shows a text prompt and returns the answer.
+ * @param {GoogleAppsScript.Base.Ui} ui The spreadsheet UI.
+ * @param {string} title The dialog title.
+ * @param {string} message The prompt text.
+ * @return {?string} The entered text, or null if the user cancelled.
+ */
+function promptForText(ui, title, message) {
+  const response = ui.prompt(title, message, ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    log('INFO', `${title} cancelled by user`);
+    return null;
+  }
+  return response.getResponseText();
+}
+
+/**
+ * Resolves a comma-separated list of HabitIDs and/or names to Habits_Main rows.
+ * @param {string} input The user's input.
+ * @return {Array<Array>} The matching habit rows.
+ */
+function resolveHabitsFromInput(input) {
+  const habitsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.HABITS);
+  if (!habitsSheet || habitsSheet.getLastRow() < 2) return [];
+
+  const habitData = habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, 15).getValues(); // Through column O (Direction)
+  const tokens = input.split(',').map(token => token.trim().toLowerCase()).filter(token => token);
+
+  const habits = [];
+  tokens.forEach(token => {
+    const habit = habitData.find(row => String(row[0]).toLowerCase() === token || String(row[1]).toLowerCase() === token);
+    if (!habit) {
+      log('WARN', `Backfill: no habit matches '${token}'`);
+    } else if (habits.indexOf(habit) === -1) {
+      habits.push(habit);
+    }
+  });
+  return habits;
+}
+
+/**
+ * Gets the set of habit days that already have a tracking entry.
+ * @return {Set<string>} Keys in 'HabitID|yyyy-MM-dd' form.
+ */
+function getLoggedHabitDays() {
+  const rollupIndex = loadRollupIndex();
+  const loggedDays = new Set();
+  Object.keys(rollupIndex).forEach(habitId => {
+    Object.keys(rollupIndex[habitId]).forEach(dayKey => loggedDays.add(`${habitId}|${dayKey}`));
+  });
+  return loggedDays;
+}
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Builds the Charts sheet: chart data tables plus embedded charts for
+ * weekly success rate per habit, completions against target, and the overall trend.
+ * The sheet is cleared and every chart removed before rebuilding, so refreshing
+ * the dashboard never stacks duplicate charts.
+ */
+
+/**
+ * Rebuilds the Charts sheet from the rollup.
+ * Only Active habits are charted unless ChartsIncludeInactive is TRUE in Config.
+ * @param {Array<Array>} habitsData All rows from Habits_Main (without the header)
+ * @param {Object} rollupIndex The index from loadRollupIndex
+ * @param {Object} pausedIntervalsByHabit The intervals from loadPausedIntervals
+ * @param {Object} config The configuration from getConfig
+ */
+function updateCharts(habitsData, rollupIndex, pausedIntervalsByHabit, config) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let chartsSheet = ss.getSheetByName(SHEET_NAMES.CHARTS);
+  if (!chartsSheet) {
+    chartsSheet = ss.insertSheet(SHEET_NAMES.CHARTS);
+    log('INFO', `Created new sheet: ${SHEET_NAMES.CHARTS}`);
+  }
+
+  // Start from a clean sheet so charts and tables are never duplicated
+  chartsSheet.getCharts().forEach(chart => chartsSheet.removeChart(chart));
+  chartsSheet.clear();
+
+  const habits = habitsData.filter(habit => habit[0] && habit[2] && (config.chartsIncludeInactive || habit[6] === 'Active'));
+  if (habits.length === 0) {
+    chartsSheet.getRange(1, 1).setValue('No habits to chart.');
+    log('WARN', 'No habits to chart.');
+    return;
+  }
+
+  const schedules = {};
+  habits.forEach(habit => schedules[habit[0]] = getHabitSchedule(habit, config.weekStartsOn));
+
+  const todayKey = getTodayKey();
+  const currentWeekKey = getWeekStartKey(todayKey, config.weekStartsOn);
+  const weekKeys = [];
+  for (let i = config.chartWeeks - 1; i >= 0; i--) {
+    weekKeys.push(addDaysToKey(currentWeekKey, -(i * 7)));
+  }
+  const windowStartKey = weekKeys[0];
+
+  // Table 1: weekly success rate per habit, plus the overall rate across habits
+  const successTable = [['Week', ...habits.map(habit => habit[1])]];
+  const trendTable = [['Week', 'Overall Success %']];
+  weekKeys.forEach(weekStartKey => {
+    const weekEndKey = addDaysToKey(weekStartKey, 6) < todayKey ? addDaysToKey(weekStartKey, 6) : todayKey;
+    const rates = habits.map(habit => getWeeklyChartSuccessRate(habit, schedules[habit[0]], rollupIndex, pausedIntervalsByHabit, weekStartKey, weekEndKey));
+    const scoredRates = rates.filter(rate => rate !== null);
+    const overall = scoredRates.length > 0 ? scoredRates.reduce((sum, rate) => sum + rate, 0) / scoredRates.length : null;
+
+    successTable.push([formatDayKeyShort(weekStartKey), ...rates.map(rate => rate === null ? '' : Math.round(rate))]);
+    trendTable.push([formatDayKeyShort(weekStartKey), overall === null ? '' : Math.round(overall)]);
+  });
+
+  // Table 2: completions (or amount, for quantitative habits) against target over the charted window
+  const targetTable = [['Habit', 'Achieved', 'Target']];
+  habits.forEach(habit => {
+    const habitDays = rollupIndex[habit[0]] || {};
+    const startKey = getCalendarDayKey(habit[2]) > windowStartKey ? getCalendarDayKey(habit[2]) : windowStartKey;
+    const achieved = getHabitProgressBetween(habitDays, schedules[habit[0]], startKey, todayKey);
+
+    const target = getExpectedCompletions(schedules[habit[0]], startKey, todayKey);
+    targetTable.push([habit[1], achieved, target]);
+  });
+
+  // Write the tables one under another, charts go to the right of them
+  const successRow = 1;
+  const targetRow = successRow + successTable.length + 2;
+  const trendRow = targetRow + targetTable.length + 2;
+  writeChartTable(chartsSheet, successRow, successTable);
+  writeChartTable(chartsSheet, targetRow, targetTable);
+  writeChartTable(chartsSheet, trendRow, trendTable);
+
+  const chartColumn = successTable[0].length + 2;
+
+  chartsSheet.insertChart(chartsSheet.newChart()
+    .setChartType(Charts.ChartType.LINE)
+    .addRange(chartsSheet.getRange(successRow, 1, successTable.length, successTable[0].length))
+    .setNumHeaders(1)
+    .setPosition(1, chartColumn, 0, 0)
+    .setOption('title', 'Weekly Success Rate by Habit')
+    .setOption('vAxis', { title: 'Success %', viewWindow: { min: 0, max: 100 } })
+    .setOption('interpolateNulls', true)
+    .build());
+
+  chartsSheet.insertChart(chartsSheet.newChart()
+    .setChartType(Charts.ChartType.COLUMN)
+    .addRange(chartsSheet.getRange(targetRow, 1, targetTable.length, 3))
+    .setNumHeaders(1)
+    .setPosition(21, chartColumn, 0, 0)
+    .setOption('title', `Completions vs Target (last ${config.chartWeeks} weeks)`)
+    .setOption('colors', ['#6aa84f', '#cccccc'])
+    .build());
+
+  chartsSheet.insertChart(chartsSheet.newChart()
+    .setChartType(Charts.ChartType.LINE)
+    .addRange(chartsSheet.getRange(trendRow, 1, trendTable.length, 2))
+    .setNumHeaders(1)
+    .setPosition(41, chartColumn, 0, 0)
+    .setOption('title', 'Overall Completion Trend')
+    .setOption('vAxis', { title: 'Success %', viewWindow: { min: 0, max: 100 } })
+    .setOption('trendlines', { 0: { color: '#cc0000', lineWidth: 2, opacity: 0.5 } })
+    .setOption('interpolateNulls', true)
+    .build());
+
+  log('INFO', `Charts rebuilt for ${habits.length} habits over ${config.chartWeeks} weeks.`);
+}
+
+/**
+ * Calculates one habit's success rate for a single calendar week.
+ * @param {Array} habit The habit row from Habits_Main
+ * @param {Object} schedule The habit's schedule from getHabitSchedule
+ * @param {Object} rollupIndex The index from loadRollupIndex
+ * @param {Object} pausedIntervalsByHabit The intervals from loadPausedIntervals
+ * @param {string} weekStartKey The first day of the week
+ * @param {string} weekEndKey The last day of the week to include (today for the current week)
+ * @return {?number} The success percentage, or null for weeks before the habit's StartDate
+ */
+function getWeeklyChartSuccessRate(habit, schedule, rollupIndex, pausedIntervalsByHabit, weekStartKey, weekEndKey) {
+  const habitDays = rollupIndex[habit[0]] || {};
+  const startKey = getCalendarDayKey(habit[2]);
+  if (weekEndKey < startKey) return null;
+
+  // A week with nothing logged is graded like any other (0% for a build habit), not left as a gap
+  // The start week is only scored from the StartDate, as in the target table
+  const fromKey = startKey > weekStartKey ? startKey : weekStartKey;
+  return calculateFrequencyBasedSuccessRate(habitDays, schedule, fromKey, weekEndKey, pausedIntervalsByHabit[habit[0]] || []);
+}
+
+/**
+ * Writes a chart data table with a bold header row.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Charts sheet
+ * @param {number} row The row to start at
+ * @param {Array<Array>} table The table, header row first
+ */
+function writeChartTable(sheet, row, table) {
+  // Week labels stay as text so Sheets doesn't turn them into dates
+  sheet.getRange(row, 1, table.length, 1).setNumberFormat('@');
+  sheet.getRange(row, 1, table.length, table[0].length).setValues(table);
+  sheet.getRange(row, 1, 1, table[0].length).setFontWeight('bold');
+}
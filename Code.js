@@ -12,7 +12,19 @@ const SHEET_NAMES = {
   HABITS: 'Habits_Main',
   TRACKING: 'Daily_Tracking',
   DASHBOARD: 'Dashboard',
-  CONFIG: 'Config'
+  CONFIG: 'Config',
+  ROLLUP: 'Daily_Rollup',
+  STATUS_HISTORY: 'Status_History',
+  STREAK_HISTORY: 'Streak_History',
+  PERSONAL_RECORDS: 'Personal_Records',
+  CHARTS: 'Charts',
+  HEATMAP: 'Heatmap',
+  TARGET_RAMPS: 'Target_Ramps',
+  HABIT_ALIASES: 'Habit_Aliases',
+  HABIT_ARCHIVE: 'Habit_Archive',
+  PEOPLE: 'People',
+  TEMPLATES: 'Templates',
+  DUPLICATE_REVIEW: 'Duplicate_Review'
 };
 
 /**
@@ -29,12 +41,21 @@ function onFormSubmit(e) {
       log('DEBUG', 'Event object received:', JSON.stringify(e));
     }
 
-    // Process the new form entry
-    const entryData = e.namedValues;
-    processNewEntry(entryData);
+    // Process the new form entry; a checklist submission logs several habits,
+    // and an edited response updates the rows it logged before
+    const entryData = getFormSubmissionValues(e);
+    const loggedHabitIds = [];
+    processFormSubmission(entryData).forEach(result => {
+      if (!result.accepted) {
+        log('WARN', 'Form entry was not recorded:', result.reason);
+      } else if (loggedHabitIds.indexOf(result.habitId) === -1) {
+        loggedHabitIds.push(result.habitId);
+      }
+    });
 
-    // Update the dashboard with new data
-    updateDashboard();
+    // Update the dashboard with new data; only the logged habits' streak history is rebuilt,
+    // the full rebuild runs on the other dashboard refreshes
+    updateDashboard(loggedHabitIds);
 
     // Check if it's time to send an email
     const lastSentTimestamp = new Date(config.lastEmailSent);
@@ -88,6 +109,13 @@ function onEdit(e) {
         }
       }
     }
+    
+    // Record Status changes (column G) so paused periods can be excluded from metrics,
+    // and renames (column B) so submissions under an old name still resolve
+    if (sheet.getName() === SHEET_NAMES.HABITS) {
+      captureStatusEdit(e);
+      captureHabitRenameEdit(e);
+    }
   } catch (error) {
     log('ERROR', 'An error occurred during onEdit processing:', error.message, error.stack);
   }
@@ -101,10 +129,19 @@ function onOpen() {
   SpreadsheetApp.getUi()
       .createMenu('⚙️ My Habit Tracker')
       .addItem('Setup Initial Configuration', 'setupInitialConfig')
+      .addItem('⏰ Install Triggers', 'installTriggersFromMenu')
       .addSeparator()
       .addItem('Update Form Dropdown', 'updateFormDropdownAndStatus')
       .addItem('Repair Missing HabitIDs', 'repairMissingHabitIDs')
       .addItem('Test Email Functionality', 'testEmailFunctionality')
+      .addItem('📅 Backfill Entries', 'backfillHabitEntries')
+      .addItem('♻️ Rebuild Daily Rollup', 'rebuildDailyRollupFromMenu')
+      .addItem('🗓️ Generate Heatmap', 'generateHeatmapFromMenu')
+      .addItem('🏷️ Sync Habit Names', 'syncHabitNamesFromMenu')
+      .addItem('📚 Import Habit Templates', 'importHabitTemplatesFromMenu')
+      .addItem('🔑 Generate API Token', 'generateApiTokenFromMenu')
+      .addItem('🗑️ Void Selected Entries', 'voidSelectedEntriesFromMenu')
+      .addItem('🔍 Scan for Duplicates', 'scanForDuplicatesFromMenu')
       .addSeparator()
       .addItem('🔄 Migrate to Frequency Tracking', 'migrateToFrequencyTracking')
       .addItem('🔧 Fix Data Validation Columns', 'fixDataValidationColumns')
@@ -146,6 +183,38 @@ function setFormUpdateButtonStatus(status) {
   }
 }
 
+/**
+ * Installs every trigger the tracker needs. Each setup function replaces its existing
+ * trigger, so this is safe to run again at any time.
+ * @return {string} The published URL of the habit form.
+ */
+function installTriggers() {
+  const formUrl = setupFormTrigger();
+
+  // Complete habits once their EndDate passes (runs daily)
+  setupLifecycleTrigger();
+
+  // Log habits from replies to the accountability email thread (runs every few minutes)
+  setupEmailReplyTrigger();
+
+  return formUrl;
+}
+
+/**
+ * Menu command: installs the triggers without touching the Config sheet or any data,
+ * e.g. to pick up a trigger added in a newer version.
+ */
+function installTriggersFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    installTriggers();
+    ui.alert('Install Triggers', 'The form submission, daily habit lifecycle and email reply triggers are installed.', ui.ButtonSet.OK);
+  } catch (error) {
+    log('ERROR', 'Failed to install triggers:', error.message, error.stack);
+    ui.alert('Install Failed', `Error: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
 /**
  * Initializes the entire system with frequency-based tracking.
  * This function should be run once manually after setup.
@@ -161,9 +230,14 @@ function setupInitialConfig() {
     // Initialize the HabitID counter system (uses functions from IDGenerator.js)
     initializeHabitIDCounter();
 
-    // Set up the form and its triggers
-    const formUrl = setupFormTrigger();
-    log('INFO', 'Form is configured and trigger is set. Form URL:', formUrl);
+    // Create the Target_Ramps, People and Templates sheets so ramps, household members and templates can be added
+    getTargetRampsSheet();
+    getPeopleSheet();
+    getTemplatesSheet();
+
+    // Set up the form and the triggers
+    const formUrl = installTriggers();
+    log('INFO', 'Form is configured and triggers are set. Form URL:', formUrl);
     
     // Update the form dropdown for the first time
     updateHabitFormDropdown();
@@ -171,18 +245,22 @@ function setupInitialConfig() {
     // Set up data validation for the Habits_Main sheet with frequency-based fields
     const habitsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.HABITS);
     if (habitsSheet) {
-      // Data validation for Frequency column (Daily, Weekly)
-      const frequencyRule = SpreadsheetApp.newDataValidation().requireValueInList(['Daily', 'Weekly']).setAllowInvalid(false).build();
+      // Data validation for Frequency column (Daily, Weekly, Monthly); finer schedules go in the Schedule column
+      const frequencyRule = SpreadsheetApp.newDataValidation().requireValueInList(['Daily', 'Weekly', 'Monthly']).setAllowInvalid(false).build();
       habitsSheet.getRange('E2:E').setDataValidation(frequencyRule);
 
-      // Data validation for FrequencyPerPeriod column (1, 2, 3, 4)
-      const timesPerPeriodRule = SpreadsheetApp.newDataValidation().requireValueInList(['1', '2', '3', '4']).setAllowInvalid(false).build();
+      // Data validation for FrequencyPerPeriod column (a positive whole number; 0 only for limit habits)
+      const timesPerPeriodRule = SpreadsheetApp.newDataValidation().requireFormulaSatisfied('=AND(ISNUMBER(F2), F2 = INT(F2), F2 >= IF(LOWER($O2) = "limit", 0, 1))').setAllowInvalid(false).build();
       habitsSheet.getRange('F2:F').setDataValidation(timesPerPeriodRule);
 
       // Data validation for Status column
       const statusRule = SpreadsheetApp.newDataValidation().requireValueInList(['Active', 'Paused', 'Completed']).setAllowInvalid(false).build();
       habitsSheet.getRange('G2:G').setDataValidation(statusRule);
 
+      // Data validation for Direction column (Build, Limit)
+      const directionRule = SpreadsheetApp.newDataValidation().requireValueInList(['Build', 'Limit']).setAllowInvalid(false).build();
+      habitsSheet.getRange('O2:O').setDataValidation(directionRule);
+
       // Data validation for StartDate and EndDate columns (must be a valid date)
       const dateRule = SpreadsheetApp.newDataValidation().requireDate().setAllowInvalid(false).build();
       habitsSheet.getRange('C2:C').setDataValidation(dateRule);
@@ -27,6 +27,29 @@ function getConfig() {
       case 'LastEmailSent':
         config.lastEmailSent = value;
         break;
+      case 'WeekStartsOn':
+        // Weekly habits are evaluated per calendar week: ISO (Monday) or US (Sunday) weeks
+        config.weekStartsOn = String(value).trim().toLowerCase() === 'sunday' ? 'Sunday' : 'Monday';
+        break;
+      case 'DayStartsAtHour': {
+        // Hour (0-23) at which a new tracking day begins, so late-night entries count for the previous day
+        const hour = parseInt(value, 10);
+        config.dayStartsAtHour = (hour >= 0 && hour <= 23) ? hour : 0;
+        break;
+      }
+      case 'ChartsIncludeInactive':
+        config.chartsIncludeInactive = value === true || String(value).toLowerCase() === 'true';
+        break;
+      case 'ChartWeeks': {
+        const weeks = parseInt(value, 10);
+        config.chartWeeks = weeks > 0 ? weeks : 12;
+        break;
+      }
+      case 'DuplicateWindowMinutes': {
+        const minutes = parseInt(value, 10);
+        config.duplicateWindowMinutes = minutes >= 0 ? minutes : 2;
+        break;
+      }
       case 'DebugMode':
         // Handle both string and boolean values
         if (typeof value === 'boolean') {
@@ -41,6 +64,21 @@ function getConfig() {
         break;
     }
   }
+  if (!config.weekStartsOn) {
+    config.weekStartsOn = 'Monday';
+  }
+  if (config.dayStartsAtHour === undefined) {
+    config.dayStartsAtHour = 0;
+  }
+  if (config.chartsIncludeInactive === undefined) {
+    config.chartsIncludeInactive = false;
+  }
+  if (!config.chartWeeks) {
+    config.chartWeeks = 12;
+  }
+  if (config.duplicateWindowMinutes === undefined) {
+    config.duplicateWindowMinutes = 2;
+  }
   return config;
 }
 
@@ -61,10 +99,20 @@ function createConfigSheet() {
     ['AccountabilityEmails', ''],
     ['EmailFrequency', 'Daily'],
     ['LastEmailSent', ''],
-    ['DebugMode', 'FALSE']
+    ['DebugMode', 'FALSE'],
+    ['WeekStartsOn', 'Monday'],
+    ['DayStartsAtHour', 0],
+    ['ChartsIncludeInactive', 'FALSE'],
+    ['ChartWeeks', 12],
+    ['DuplicateWindowMinutes', 2]
   ];
 
   configSheet.getRange(1, 1, data.length, 2).setValues(data);
   configSheet.getRange('B2').setNote('Daily, Weekly, or Bi-weekly');
+  configSheet.getRange('B5').setNote('Monday (ISO weeks) or Sunday. Used to group Weekly habits into calendar weeks.');
+  configSheet.getRange('B6').setNote('Hour (0-23) when a new tracking day begins, in the spreadsheet timezone. E.g. 3 means a 1am entry counts for the previous day.');
+  configSheet.getRange('B7').setNote('TRUE to chart Paused and Completed habits as well as Active ones.');
+  configSheet.getRange('B8').setNote('Number of weeks shown on the Charts sheet.');
+  configSheet.getRange('B9').setNote('Minutes within which an identical entry for the same habit is rejected as a duplicate submission. 0 only rejects repeats of the same form response.');
   configSheet.setColumnWidth(1, 200);
 }
\ No newline at end of file
@@ -6,21 +6,31 @@
 /**
  * Updates the Dashboard sheet with frequency-based analytics
  * Clears old data and populates a new rolling 30-day view
+ * @param {Array<string>=} changedHabitIds Habits whose entries just changed (e.g. from a form
+ *     submission); only their Streak_History and Personal_Records rows are rebuilt. All habits if omitted.
  */
-function updateDashboard() {
+function updateDashboard(changedHabitIds) {
   log('INFO', 'Updating dashboard with frequency-based analytics...');
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const habitsSheet = ss.getSheetByName(SHEET_NAMES.HABITS);
-  const trackingSheet = ss.getSheetByName(SHEET_NAMES.TRACKING);
   const dashboardSheet = ss.getSheetByName(SHEET_NAMES.DASHBOARD);
 
-  // Clear existing dashboard data (except headers)
+  // Clear existing dashboard data (except headers), including the subtotal row styling
   if (dashboardSheet.getLastRow() > 1) {
-    dashboardSheet.getRange(2, 1, dashboardSheet.getLastRow() - 1, dashboardSheet.getLastColumn()).clearContent();
+    dashboardSheet.getRange(2, 1, dashboardSheet.getLastRow() - 1, dashboardSheet.getLastColumn())
+      .clearContent()
+      .setFontWeight('normal')
+      .setBackground(null);
   }
 
   const habitsData = habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, habitsSheet.getLastColumn()).getValues();
-  const trackingData = trackingSheet.getRange(2, 1, trackingSheet.getLastRow() - 1, trackingSheet.getLastColumn()).getValues();
+  // Metrics read from the precomputed rollup instead of rescanning Daily_Tracking
+  const rollupIndex = loadRollupIndex();
+  const pausedIntervalsByHabit = loadPausedIntervals();
+  const config = getConfig();
+  
+  // Streaks come from the full streak history (also written to Streak_History / Personal_Records)
+  const streakResults = updateStreakHistory(habitsData, rollupIndex, pausedIntervalsByHabit, config, changedHabitIds);
   
   if (!habitsData || habitsData.length === 0 || habitsData[0].length === 0) {
     log('WARN', 'No habits found in Habits_Main sheet.');
@@ -35,198 +45,354 @@ function updateDashboard() {
   
   const dashboardData = [];
   const today = new Date();
+  const todayKey = getTodayKey();
   
   // Updated headers for frequency-based dashboard
   const headers = [
     'Habit Name', 
-    'Frequency',
+    'Owner',
+    'Category',
+    'Schedule',
     'Target/Period', 
+    'Target Phase',
+    'Next Step-Up',
     'Days Since Start', 
     'Days Remaining', 
     'Current Streak', 
+    'Longest Streak',
+    'Record Set On',
+    'Freezes Left',
+    'Current Period',
+    '% Reached',
+    'Week Total',
+    'Month Total',
     'Success Rate', 
-    'Avg Completions/Period',
+    'Avg per Period',
     ...getRollingDates()
   ];
   dashboardData.push(headers);
 
-  // Process each active habit with frequency-based metrics
-  activeHabits.forEach(habit => {
+  // Process each active habit with frequency-based metrics, grouped by owner and then category
+  const sortedHabits = sortHabitsByOwner(sortHabitsByCategory(activeHabits));
+  const subtotalRows = [];
+  let categoryTotals = null;
+  
+  sortedHabits.forEach((habit, index) => {
     const habitId = habit[0];
     const habitName = habit[1];
+    const owner = getHabitOwner(habit);
+    const category = getHabitCategory(habit);
     const startDate = new Date(habit[2]);
     const endDate = new Date(habit[3]);
-    const frequency = habit[4] || 'Daily'; // Frequency column (Daily/Weekly)
-    const targetFrequencyPerPeriod = habit[5] || 1; // FrequencyPerPeriod column
+    const schedule = getHabitSchedule(habit, config.weekStartsOn); // Schedule column (L), or Frequency/FrequencyPerPeriod
+    const allowance = parseStreakAllowance(habit[10]); // StreakAllowance column (K)
     
-    const relevantTrackingData = trackingData.filter(entry => entry[1] === habitId);
+    const habitDays = rollupIndex[habitId] || {};
+    const pausedIntervals = pausedIntervalsByHabit[habitId] || [];
     
     // Calculate frequency-based dashboard metrics
     const daysSinceStart = getDaysBetweenDates(startDate, today);
-    const daysRemaining = getDaysBetweenDates(today, endDate);
-    const streak = calculateFrequencyBasedStreak(relevantTrackingData, habitId, targetFrequencyPerPeriod);
-    const successRate = calculateFrequencyBasedSuccessRate(relevantTrackingData, habitId, targetFrequencyPerPeriod, startDate, today);
-    const avgCompletions = calculateAverageCompletionsPerPeriod(relevantTrackingData, frequency, startDate, today);
+    const daysRemaining = habit[3] ? Math.max(0, getDaysBetweenDates(today, endDate)) : '-'; // Expired habits show 0 until completed
+    const startKey = getCalendarDayKey(startDate);
+    const streakHistory = streakResults[habitId] || { runs: [], longest: { length: 0, setOnKey: null } };
+    const streakResult = getCurrentStreak(streakHistory.runs);
+    const streak = streakResult.streak;
+    const longestStreak = streakHistory.longest.length;
+    const freezesLeft = getStreakFreezesLeft(allowance, streakResult.frozenKeys, todayKey);
+    const successRate = calculateFrequencyBasedSuccessRate(habitDays, schedule, startKey, todayKey, pausedIntervals);
+    const avgCompletions = calculateAverageCompletionsPerPeriod(habitDays, schedule, startKey, todayKey, pausedIntervals);
     
     // Prepare the rolling 30-day view based on frequency targets
-    const thirtyDayView = getFrequencyBasedThirtyDayView(relevantTrackingData, habitId, targetFrequencyPerPeriod);
+    const thirtyDayView = getFrequencyBasedThirtyDayView(habitDays, schedule, pausedIntervals, streakResult.frozenKeys);
+    
+    // Progress toward the current period's target, plus calendar week and month totals
+    const periodProgress = getHabitProgressForPeriod(habitDays, schedule, getPeriodStartKey(schedule, todayKey), todayKey);
+    const weekTotal = getHabitProgressBetween(habitDays, schedule, getWeekStartKey(todayKey, config.weekStartsOn), todayKey);
+    const monthTotal = getHabitProgressBetween(habitDays, schedule, todayKey.substring(0, 8) + '01', todayKey);
+    const unitSuffix = schedule.measure === 'amount' && schedule.unit ? ` ${schedule.unit}` : '';
+    const currentTarget = getTargetOnDate(schedule, todayKey);
+    
+    // Where the habit is in its Target_Ramps plan, e.g. "2 of 3" and "2026-12-01 → 3x"
+    const rampPhase = getRampPhase(schedule, todayKey);
+    const nextStepUp = rampPhase && rampPhase.nextStepKey ?
+      `${rampPhase.nextStepKey} → ${formatScheduleTarget(schedule, rampPhase.nextStepKey)}` : '-';
+    
+    // Weekly and monthly streaks are counted in periods, so label them
+    const streakSuffix = { day: '', week: ' wk', month: ' mo' }[schedule.period];
     
     const row = [
       habitName, 
-      frequency,
-      `${targetFrequencyPerPeriod}x`,
+      owner,
+      category,
+      schedule.label,
+      formatScheduleTarget(schedule, todayKey),
+      rampPhase ? `${rampPhase.phase} of ${rampPhase.phases}` : '-',
+      nextStepUp,
       daysSinceStart, 
       daysRemaining, 
-      streak, 
+      streakSuffix ? `${streak}${streakSuffix}` : streak, 
+      streakSuffix ? `${longestStreak}${streakSuffix}` : longestStreak,
+      streakHistory.longest.setOnKey || '-',
+      freezesLeft,
+      `${formatAmount(periodProgress)}/${formatAmount(currentTarget)}${unitSuffix}`,
+      currentTarget > 0 ? Math.round((periodProgress / currentTarget) * 100) + '%' : '-',
+      formatAmount(weekTotal) + unitSuffix,
+      formatAmount(monthTotal) + unitSuffix,
       successRate.toFixed(1) + '%',
       avgCompletions.toFixed(1),
       ...thirtyDayView
     ];
     dashboardData.push(row);
+    
+    // Accumulate the category subtotal and write it after the category's last habit
+    categoryTotals = categoryTotals || { habits: 0, successRate: 0, streak: 0, scoredToday: 0, onTargetToday: 0 };
+    categoryTotals.habits++;
+    categoryTotals.successRate += successRate;
+    categoryTotals.streak += streak;
+    const onTargetToday = isHabitOnTargetToday(habitDays, schedule, todayKey);
+    if (onTargetToday !== null) {
+      categoryTotals.scoredToday++;
+      if (onTargetToday) categoryTotals.onTargetToday++;
+    }
+    
+    const nextHabit = sortedHabits[index + 1];
+    if (!nextHabit || getHabitCategory(nextHabit) !== category || !isSamePerson(getHabitOwner(nextHabit), owner)) {
+      dashboardData.push(buildCategorySubtotalRow(headers, owner, category, categoryTotals));
+      subtotalRows.push(dashboardData.length);
+      categoryTotals = null;
+    }
   });
 
   // Write the data to the dashboard sheet
   dashboardSheet.getRange(1, 1, dashboardData.length, dashboardData[0].length).setValues(dashboardData);
   dashboardSheet.setFrozenRows(1);
   dashboardSheet.setColumnWidth(1, 150);
-  dashboardSheet.setColumnWidth(2, 80);
+  dashboardSheet.setColumnWidth(2, 100);
+  dashboardSheet.setColumnWidth(3, 110);
+  dashboardSheet.setColumnWidth(4, 110);
+  subtotalRows.forEach(rowNumber => {
+    dashboardSheet.getRange(rowNumber, 1, 1, headers.length).setFontWeight('bold').setBackground('#eeeeee');
+  });
   
   // Apply conditional formatting for frequency-based success/failure
-  applyFrequencyBasedConditionalFormatting(dashboardSheet, dashboardData.length, dashboardData[0].length);
+  applyFrequencyBasedConditionalFormatting(dashboardSheet, dashboardData.length, dashboardData[0].length, headers.length - 29);
+  
+  // Rebuild the trend charts; a chart failure shouldn't stop the dashboard refresh
+  try {
+    updateCharts(habitsData, rollupIndex, pausedIntervalsByHabit, config);
+  } catch (error) {
+    log('ERROR', 'Failed to update charts:', error.message, error.stack);
+  }
   
   log('INFO', 'Frequency-based dashboard updated successfully.');
 }
 
 /**
- * Calculates current streak based on meeting daily frequency targets
- * @param {Array<Array>} trackingData The tracking data for a single habit
- * @param {string} habitId The habit ID
- * @param {number} targetFrequency Required completions per day
- * @return {number} The current streak length in days
+ * Habit Name shown on the dashboard's category subtotal rows.
+ */
+const DASHBOARD_SUBTOTAL_LABEL = 'Subtotal';
+
+/**
+ * Checks whether a habit is on target today: for day-scored habits, whether today's
+ * target is met; for weekly and monthly habits, whether the current period's is
+ * @param {Object<string, Object>} habitDays The habit's days from loadRollupIndex
+ * @param {Object} schedule The habit's schedule from getHabitSchedule
+ * @param {string} todayKey Today's day key
+ * @return {?boolean} Whether the habit is on target, or null if today isn't a due day
+ */
+function isHabitOnTargetToday(habitDays, schedule, todayKey) {
+  if (schedule.period !== 'day') {
+    return wasHabitSuccessfulInPeriod(habitDays, schedule, getPeriodStartKey(schedule, todayKey));
+  }
+  if (!isDayDue(schedule, todayKey)) return null;
+  return wasHabitSuccessfulOnDate(habitDays, todayKey, schedule);
+}
+
+/**
+ * Builds the subtotal row for a category of habits on the dashboard (one per owner)
+ * Success Rate and Current Streak hold the category averages, and Current Period and
+ * % Reached the share of its habits that are on target today
+ * @param {Array<string>} headers The dashboard headers
+ * @param {string} owner The habits' owner, or '' for habits without one
+ * @param {string} category The category name
+ * @param {{habits: number, successRate: number, streak: number, scoredToday: number, onTargetToday: number}} totals
+ *     The category's summed metrics
+ * @return {Array} The dashboard row
+ */
+function buildCategorySubtotalRow(headers, owner, category, totals) {
+  const row = headers.map(() => '');
+  row[headers.indexOf('Habit Name')] = DASHBOARD_SUBTOTAL_LABEL;
+  row[headers.indexOf('Owner')] = owner;
+  row[headers.indexOf('Category')] = category;
+  row[headers.indexOf('Current Streak')] = (totals.streak / totals.habits).toFixed(1);
+  row[headers.indexOf('Success Rate')] = (totals.successRate / totals.habits).toFixed(1) + '%';
+  row[headers.indexOf('Current Period')] = `${totals.onTargetToday}/${totals.scoredToday} on target today`;
+  row[headers.indexOf('% Reached')] = totals.scoredToday > 0 ?
+    Math.round((totals.onTargetToday / totals.scoredToday) * 100) + '%' : '-';
+  return row;
+}
+
+/**
+ * Calculates success rate based on meeting frequency targets
+ * Day-scored habits are scored per due day with data, weekly and monthly habits per
+ * calendar period with data (see Schedule.js)
+ * Off-days, paused days and Excused days that fell short are not scored; zero-limit
+ * habits also score days with no entry (as successes)
+ * @param {Object<string, Object>} habitDays The habit's days from loadRollupIndex
+ * @param {Object} schedule The habit's schedule from getHabitSchedule
+ * @param {string} startKey The first day of the tracking window
+ * @param {string} endKey The last day of the tracking window
+ * @param {Array<Object>} pausedIntervals The habit's paused intervals from loadPausedIntervals
+ * @return {number} The success rate percentage
  */
-function calculateFrequencyBasedStreak(trackingData, habitId, targetFrequency) {
-  if (!trackingData || trackingData.length === 0) return 0;
+function calculateFrequencyBasedSuccessRate(habitDays, schedule, startKey, endKey, pausedIntervals) {
+  if (schedule.period !== 'day') {
+    return calculatePeriodSuccessRate(habitDays, schedule, startKey, endKey, pausedIntervals);
+  }
   
-  const today = new Date();
-  let streak = 0;
+  let successfulDays = 0;
+  let totalDaysWithData = 0;
   
-  // Go backwards from today, checking each day
-  for (let i = 0; i < 365; i++) { // Check up to a year back
-    const checkDate = new Date();
-    checkDate.setDate(today.getDate() - i);
-    
-    const wasSuccessful = wasHabitSuccessfulOnDate(trackingData, habitId, checkDate, targetFrequency);
+  for (let checkKey = startKey; checkKey <= endKey; checkKey = addDaysToKey(checkKey, 1)) {
+    const hasDataForDate = hasHabitDataOnDate(habitDays, checkKey, schedule);
     
-    if (wasSuccessful) {
-      streak++;
-    } else {
-      // Check if there's any data for this date - if no data, don't break streak for recent dates
-      const hasDataForDate = trackingData.some(entry => {
-        const entryDate = new Date(entry[0]);
-        return isSameDay(entryDate, checkDate);
-      });
-      
-      // If it's within the last 2 days and no data, don't break streak yet
-      if (i <= 1 && !hasDataForDate) {
-        continue;
-      } else {
-        break; // Streak is broken
+    if (hasDataForDate && isDayDue(schedule, checkKey) && !isDayPaused(pausedIntervals, checkKey)) {
+      const wasSuccessful = wasHabitSuccessfulOnDate(habitDays, checkKey, schedule);
+      if (wasSuccessful) {
+        totalDaysWithData++;
+        successfulDays++;
+      } else if (!wasHabitExcusedOnDate(habitDays, checkKey)) {
+        totalDaysWithData++;
       }
     }
   }
   
-  return streak;
+  return totalDaysWithData > 0 ? (successfulDays / totalDaysWithData) * 100 : 0;
 }
 
 /**
- * Calculates success rate based on meeting daily frequency targets
- * @param {Array<Array>} trackingData The tracking data for a single habit
- * @param {string} habitId The habit ID
- * @param {number} targetFrequency Required completions per day
- * @param {Date} startDate The start of the tracking window
- * @param {Date} endDate The end of the tracking window
+ * Calculates the percentage of calendar weeks or months with data that met the target
+ * The current period only counts once it is settled (a build habit's target reached, or a
+ * limit habit's target exceeded), and periods that fell short while the habit was paused
+ * or excused are not scored
+ * @param {Object<string, Object>} habitDays The habit's days from loadRollupIndex
+ * @param {Object} schedule The habit's schedule from getHabitSchedule (week or month period)
+ * @param {string} startKey The first day of the tracking window
+ * @param {string} endKey The last day of the tracking window
+ * @param {Array<Object>} pausedIntervals The habit's paused intervals from loadPausedIntervals
  * @return {number} The success rate percentage
  */
-function calculateFrequencyBasedSuccessRate(trackingData, habitId, targetFrequency, startDate, endDate) {
-  const daysBetween = getDaysBetweenDates(startDate, endDate);
-  let successfulDays = 0;
-  let totalDaysWithData = 0;
+function calculatePeriodSuccessRate(habitDays, schedule, startKey, endKey, pausedIntervals) {
+  const currentPeriodKey = getPeriodStartKey(schedule, endKey);
+  let successfulPeriods = 0;
+  let totalPeriodsWithData = 0;
   
-  for (let i = 0; i < daysBetween; i++) {
-    const checkDate = new Date();
-    checkDate.setTime(startDate.getTime() + (i * 24 * 60 * 60 * 1000));
-    
-    const hasDataForDate = trackingData.some(entry => {
-      const entryDate = new Date(entry[0]);
-      return entry[1] === habitId && isSameDay(entryDate, checkDate);
-    });
+  for (let periodKey = getPeriodStartKey(schedule, startKey); periodKey <= currentPeriodKey; periodKey = getNextPeriodStartKey(schedule, periodKey)) {
+    const isCurrentPeriod = periodKey === currentPeriodKey;
+    const wasSuccessful = wasHabitSuccessfulInPeriod(habitDays, schedule, periodKey);
+    const isSettled = !isCurrentPeriod || (schedule.direction === 'limit' ? !wasSuccessful : wasSuccessful);
+    const isExcused = isPeriodPaused(pausedIntervals, schedule, periodKey) || wasHabitExcusedInPeriod(habitDays, schedule, periodKey);
     
-    if (hasDataForDate) {
-      totalDaysWithData++;
-      if (wasHabitSuccessfulOnDate(trackingData, habitId, checkDate, targetFrequency)) {
-        successfulDays++;
+    if (hasHabitDataInPeriod(habitDays, schedule, periodKey) && isSettled && (!isExcused || wasSuccessful)) {
+      totalPeriodsWithData++;
+      if (wasSuccessful) {
+        successfulPeriods++;
       }
     }
   }
   
-  return totalDaysWithData > 0 ? (successfulDays / totalDaysWithData) * 100 : 0;
+  return totalPeriodsWithData > 0 ? (successfulPeriods / totalPeriodsWithData) * 100 : 0;
 }
 
 /**
- * Calculates average completions per period (day or week)
- * @param {Array<Array>} trackingData The tracking data for a single habit
- * @param {string} frequency The frequency type (Daily or Weekly)
- * @param {Date} startDate The start of the tracking window
- * @param {Date} endDate The end of the tracking window
- * @return {number} Average completions per period
+ * Calculates average completions (or amount, for quantitative habits) per period (due day, week or month)
+ * @param {Object<string, Object>} habitDays The habit's days from loadRollupIndex
+ * @param {Object} schedule The habit's schedule from getHabitSchedule
+ * @param {string} startKey The first day of the tracking window
+ * @param {string} endKey The last day of the tracking window
+ * @param {Array<Object>} pausedIntervals The habit's paused intervals; paused, excused and off-days are left out
+ * @return {number} Average progress per period
  */
-function calculateAverageCompletionsPerPeriod(trackingData, frequency, startDate, endDate) {
-  if (!trackingData || trackingData.length === 0) return 0;
+function calculateAverageCompletionsPerPeriod(habitDays, schedule, startKey, endKey, pausedIntervals) {
+  if (!habitDays || Object.keys(habitDays).length === 0) return 0;
   
-  const totalCompletions = trackingData
-    .filter(entry => {
-      const entryDate = new Date(entry[0]);
-      return entryDate >= startDate && entryDate <= endDate;
-    })
-    .reduce((sum, entry) => sum + (entry[5] || 1), 0); // Sum ActualCompletions (column F)
+  const totalProgress = Object.keys(habitDays)
+    .filter(dayKey => dayKey >= startKey && dayKey <= endKey && isDayDue(schedule, dayKey) && !isDayPaused(pausedIntervals, dayKey))
+    .reduce((sum, dayKey) => sum + getHabitProgressForDate(habitDays, dayKey, schedule), 0);
+  
+  let excludedDays = 0;
+  for (let dayKey = startKey; dayKey <= endKey; dayKey = addDaysToKey(dayKey, 1)) {
+    if (!isDayDue(schedule, dayKey) || isDayPaused(pausedIntervals, dayKey) ||
+        (wasHabitExcusedOnDate(habitDays, dayKey) && getHabitCompletionsForDate(habitDays, dayKey) === 0)) {
+      excludedDays++;
+    }
+  }
   
-  const daysBetween = Math.max(1, getDaysBetweenDates(startDate, endDate));
+  const daysBetween = Math.max(1, getDaysBetweenKeys(startKey, endKey) + 1 - excludedDays);
   
-  if (frequency === 'Weekly') {
+  if (schedule.period === 'week') {
     const weeksBetween = Math.max(1, daysBetween / 7);
-    return totalCompletions / weeksBetween;
+    return totalProgress / weeksBetween;
+  } else if (schedule.period === 'month') {
+    const monthsBetween = Math.max(1, daysBetween / (365.25 / 12));
+    return totalProgress / monthsBetween;
   } else {
-    // Daily
-    return totalCompletions / daysBetween;
+    // Per due day
+    return totalProgress / daysBetween;
   }
 }
 
 /**
  * Gets a frequency-based rolling 30-day view
- * @param {Array<Array>} trackingData The tracking data for a single habit
- * @param {string} habitId The habit ID
- * @param {number} targetFrequency Required completions per day
+ * For weekly and monthly habits each logged day shows the running total for its period,
+ * so the view reflects how far the period has progressed toward its target
+ * Paused days are marked with '⏸', Excused days that fell short with '⊘',
+ * misses covered by a streak freeze with '❄' and off-days with nothing logged with '·'
+ * Limit habits show '✓' while within their limit and 'N✗' once it is exceeded
+ * @param {Object<string, Object>} habitDays The habit's days from loadRollupIndex
+ * @param {Object} schedule The habit's schedule from getHabitSchedule
+ * @param {Array<Object>} pausedIntervals The habit's paused intervals from loadPausedIntervals
+ * @param {Array<string>} frozenKeys Days (or period starts, for weekly and monthly habits) covered by a freeze
  * @return {Array<string>} Array of indicators for the last 30 days
  */
-function getFrequencyBasedThirtyDayView(trackingData, habitId, targetFrequency) {
+function getFrequencyBasedThirtyDayView(habitDays, schedule, pausedIntervals, frozenKeys) {
   const view = [];
-  const today = new Date();
   
-  for (let i = 29; i >= 0; i--) {
-    const currentDate = new Date();
-    currentDate.setDate(today.getDate() - i);
+  getRollingDayKeys(30).forEach(dayKey => {
+    if (isDayPaused(pausedIntervals, dayKey)) {
+      view.push('⏸');
+      return;
+    }
     
-    const completions = getHabitCompletionsForDate(trackingData, habitId, currentDate);
-    const wasSuccessful = completions >= targetFrequency;
+    const isLimit = schedule.direction === 'limit';
+    const periodKey = getPeriodStartKey(schedule, dayKey);
+    let progress = getHabitProgressForDate(habitDays, dayKey, schedule);
+    if (schedule.period !== 'day' && (progress > 0 || isLimit)) {
+      progress = getHabitProgressForPeriod(habitDays, schedule, periodKey, dayKey);
+    }
+    // Limit habits are scored once something is logged (zero limits always); build habits once there is progress
+    const hasData = isLimit ? hasHabitDataOnDate(habitDays, dayKey, schedule) : progress > 0;
+    const wasSuccessful = hasData && meetsHabitTarget(schedule, progress, dayKey);
+    const target = getTargetOnDate(schedule, dayKey);
     
-    if (completions === 0) {
+    if (!isDayDue(schedule, dayKey) && !habitDays[dayKey]) {
+      view.push('·');
+    } else if (!wasSuccessful && wasHabitExcusedOnDate(habitDays, dayKey)) {
+      view.push('⊘');
+    } else if (!wasSuccessful && frozenKeys.indexOf(periodKey) !== -1 && periodKey === dayKey) {
+      view.push('❄'); // Weekly and monthly habits show the freeze on the first day of the period
+    } else if (!hasData) {
       view.push('-');
+    } else if (wasSuccessful && isLimit) {
+      view.push(progress > 0 ? `${formatAmount(progress)}✓` : '✓');
     } else if (wasSuccessful) {
-      view.push(completions > targetFrequency ? `${completions}✓` : '✓');
+      view.push(progress > target ? `${formatAmount(progress)}✓` : '✓');
+    } else if (isLimit) {
+      view.push(`${formatAmount(progress)}✗`);
     } else {
-      view.push(`${completions}/${targetFrequency}`);
+      view.push(`${formatAmount(progress)}/${formatAmount(target)}`);
     }
-  }
+  });
   
   return view;
 }
@@ -236,24 +402,18 @@ function getFrequencyBasedThirtyDayView(trackingData, habitId, targetFrequency)
  * @return {Array<string>} An array of date strings in 'MM/DD' format.
  */
 function getRollingDates() {
-  const dates = [];
-  const today = new Date();
-  for (let i = 29; i >= 0; i--) {
-    const d = new Date();
-    d.setDate(today.getDate() - i);
-    dates.push(Utilities.formatDate(d, Session.getScriptTimeZone(), 'MM/dd'));
-  }
-  return dates;
+  return getRollingDayKeys(30).map(formatDayKeyShort);
 }
 
 /**
- * Applies conditional formatting for frequency-based indicators
+ * Applies conditional formatting for frequency-based indicators, replacing the sheet's existing rules
  * @param {Sheet} sheet The dashboard sheet
  * @param {number} numRows Number of rows to format
  * @param {number} numCols Number of columns to format
+ * @param {number} firstViewColumn The column where the rolling 30-day view starts
  */
-function applyFrequencyBasedConditionalFormatting(sheet, numRows, numCols) {
-  const range = sheet.getRange(2, 8, numRows - 1, numCols - 7); // Start from column H (after Avg Completions)
+function applyFrequencyBasedConditionalFormatting(sheet, numRows, numCols, firstViewColumn) {
+  const range = sheet.getRange(2, firstViewColumn, numRows - 1, numCols - firstViewColumn + 1);
   
   const ruleSuccess = SpreadsheetApp.newConditionalFormatRule()
     .whenTextContains('✓')
@@ -271,7 +431,41 @@ function applyFrequencyBasedConditionalFormatting(sheet, numRows, numCols) {
     .setRanges([range])
     .build();
 
-  const rules = sheet.getConditionalFormatRules();
-  rules.push(ruleSuccess, rulePartial);
-  sheet.setConditionalFormatRules(rules);
+  const rulePaused = SpreadsheetApp.newConditionalFormatRule()
+    .whenTextEqualTo('⏸')
+    .setBackground('#d9d9d9') // Light grey for paused days
+    .setFontColor('#666666')
+    .setRanges([range])
+    .build();
+
+  const ruleExcused = SpreadsheetApp.newConditionalFormatRule()
+    .whenTextEqualTo('⊘')
+    .setBackground('#cfe2f3') // Light blue for excused days
+    .setFontColor('#1c4587')
+    .setRanges([range])
+    .build();
+
+  const ruleFrozen = SpreadsheetApp.newConditionalFormatRule()
+    .whenTextEqualTo('❄')
+    .setBackground('#d0e0e3') // Pale cyan for freeze days
+    .setFontColor('#134f5c')
+    .setRanges([range])
+    .build();
+
+  const ruleOverLimit = SpreadsheetApp.newConditionalFormatRule()
+    .whenTextContains('✗')
+    .setBackground('#ea9999') // Light red for limit habits that went over
+    .setBold(true)
+    .setFontColor('#660000')
+    .setRanges([range])
+    .build();
+
+  const ruleOffDay = SpreadsheetApp.newConditionalFormatRule()
+    .whenTextEqualTo('·')
+    .setFontColor('#b7b7b7') // Faded for days the habit isn't scheduled
+    .setRanges([range])
+    .build();
+
+  // Replace rather than append, so rules don't pile up and old ranges don't linger when columns move
+  sheet.setConditionalFormatRules([ruleSuccess, rulePartial, rulePaused, ruleExcused, ruleFrozen, ruleOverLimit, ruleOffDay]);
 }
\ No newline at end of file
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Day-bucketing service shared by tracking, dashboard and email code.
+ * Every entry is assigned to a "day key" (yyyy-MM-dd) in the spreadsheet's timezone,
+ * shifted by the DayStartsAtHour setting so late-night entries count for the previous day.
+ * Day keys are plain strings, so date arithmetic on them never depends on the runtime timezone.
+ */
+
+/**
+ * Cached timezone and rollover hour for the current execution.
+ * Avoids re-reading the Config sheet for every date conversion.
+ */
+let dayBucketSettings_ = null;
+
+/**
+ * Gets the timezone and day-rollover hour used to bucket entries into days.
+ * @return {{timeZone: string, dayStartsAtHour: number}} The bucketing settings.
+ */
+function getDayBucketSettings() {
+  if (dayBucketSettings_) {
+    return dayBucketSettings_;
+  }
+
+  let timeZone = Session.getScriptTimeZone();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  if (ss && ss.getSpreadsheetTimeZone()) {
+    timeZone = ss.getSpreadsheetTimeZone();
+  }
+
+  let dayStartsAtHour = 0;
+  try {
+    dayStartsAtHour = getConfig().dayStartsAtHour;
+  } catch (e) {
+    // Config sheet may not exist yet during initial setup; use midnight
+  }
+
+  dayBucketSettings_ = { timeZone: timeZone, dayStartsAtHour: dayStartsAtHour };
+  return dayBucketSettings_;
+}
+
+/**
+ * Gets the timezone all day bucketing and date display should use.
+ * @return {string} The spreadsheet timezone, or the script timezone as a fallback.
+ */
+function getTrackerTimeZone() {
+  return getDayBucketSettings().timeZone;
+}
+
+/**
+ * Gets the tracking day a moment in time belongs to.
+ * Times before DayStartsAtHour are counted toward the previous day.
+ * @param {Date|string|number} date The moment to bucket.
+ * @return {string} The day key in 'yyyy-MM-dd' format.
+ */
+function getDayKey(date) {
+  const settings = getDayBucketSettings();
+  const shifted = new Date(new Date(date).getTime() - settings.dayStartsAtHour * 60 * 60 * 1000);
+  return Utilities.formatDate(shifted, settings.timeZone, 'yyyy-MM-dd');
+}
+
+/**
+ * Gets the day key for a calendar date such as a StartDate cell.
+ * Calendar dates are not shifted by DayStartsAtHour.
+ * @param {Date|string|number} date The calendar date.
+ * @return {string} The day key in 'yyyy-MM-dd' format.
+ */
+function getCalendarDayKey(date) {
+  return Utilities.formatDate(new Date(date), getTrackerTimeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * Gets the day key for the current tracking day.
+ * @return {string} Today's day key.
+ */
+function getTodayKey() {
+  return getDayKey(new Date());
+}
+
+/**
+ * Converts a day key to a Date at midnight UTC, for arithmetic only.
+ * @param {string} dayKey The day key.
+ * @return {Date} The UTC date.
+ */
+function dayKeyToUtcDate(dayKey) {
+  return new Date(dayKey + 'T00:00:00Z');
+}
+
+/**
+ * Adds a number of days to a day key.
+ * @param {string} dayKey The starting day key.
+ * @param {number} days The number of days to add (may be negative).
+ * @return {string} The resulting day key.
+ */
+function addDaysToKey(dayKey, days) {
+  const date = dayKeyToUtcDate(dayKey);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Counts the days from one day key to another.
+ * @param {string} fromKey The earlier day key.
+ * @param {string} toKey The later day key.
+ * @return {number} The number of days between them (negative if toKey is earlier).
+ */
+function getDaysBetweenKeys(fromKey, toKey) {
+  const oneDay = 1000 * 60 * 60 * 24;
+  return Math.round((dayKeyToUtcDate(toKey).getTime() - dayKeyToUtcDate(fromKey).getTime()) / oneDay);
+}
+
+/**
+ * Gets the weekday of a day key.
+ * @param {string} dayKey The day key.
+ * @return {number} 0 for Sunday through 6 for Saturday.
+ */
+function getWeekdayForKey(dayKey) {
+  return dayKeyToUtcDate(dayKey).getUTCDay();
+}
+
+/**
+ * Gets the first day of the calendar week containing a day key.
+ * @param {string} dayKey The day key.
+ * @param {string} weekStartsOn 'Monday' (ISO weeks) or 'Sunday'.
+ * @return {string} The day key the week starts on.
+ */
+function getWeekStartKey(dayKey, weekStartsOn) {
+  const firstWeekday = weekStartsOn === 'Sunday' ? 0 : 1;
+  const offset = (getWeekdayForKey(dayKey) - firstWeekday + 7) % 7;
+  return addDaysToKey(dayKey, -offset);
+}
+
+/**
+ * Formats a day key for compact display, e.g. in dashboard headers.
+ * @param {string} dayKey The day key.
+ * @return {string} The date in 'MM/dd' format.
+ */
+function formatDayKeyShort(dayKey) {
+  return dayKey.substring(5).replace('-', '/');
+}
+
+/**
+ * Gets the day keys for a rolling window ending today.
+ * @param {number} numDays The number of days in the window.
+ * @return {Array<string>} Day keys from oldest to today.
+ */
+function getRollingDayKeys(numDays) {
+  const todayKey = getTodayKey();
+  const keys = [];
+  for (let i = numDays - 1; i >= 0; i--) {
+    keys.push(addDaysToKey(todayKey, -i));
+  }
+  return keys;
+}
+
+/**
+ * Formats a moment in time for display in the tracker's timezone.
+ * @param {Date} date The moment to format.
+ * @return {string} The formatted date and time.
+ */
+function formatTrackerDateTime(date) {
+  return Utilities.formatDate(date, getTrackerTimeZone(), 'yyyy-MM-dd HH:mm');
+}
+
+/**
+ * Gets a moment in time that falls inside a tracking day, for stamping backdated entries.
+ * Uses noon plus the rollover hour so the moment always buckets back to the same day.
+ * @param {string} dayKey The day key.
+ * @return {Date} A timestamp within that tracking day.
+ */
+function getTimestampForDayKey(dayKey) {
+  const settings = getDayBucketSettings();
+  const noon = Utilities.parseDate(dayKey + ' 12:00', settings.timeZone, 'yyyy-MM-dd HH:mm');
+  return new Date(noon.getTime() + settings.dayStartsAtHour * 60 * 60 * 1000);
+}
+
+/**
+ * Builds a day key from its parts, if they name a real calendar day.
+ * The parts are round-tripped through a date, so e.g. 2025-02-30 or 13/45/2025 are rejected
+ * instead of rolling over into another day.
+ * @param {string} year The year digits.
+ * @param {string} month The month digits (1-12).
+ * @param {string} day The day-of-month digits.
+ * @return {?string} The day key, or null if there is no such day.
+ */
+function toValidDayKey(year, month, day) {
+  const dayKey = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  return date.toISOString().substring(0, 10) === dayKey ? dayKey : null;
+}
+
+/**
+ * Parses a user-entered date into a day key.
+ * Accepts Date objects, 'yyyy-MM-dd' and 'M/d/yyyy' (the form response format).
+ * @param {Date|string} value The value to parse.
+ * @return {?string} The day key, or null if the value is empty or not a real date.
+ */
+function parseDayKey(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : getCalendarDayKey(value);
+  }
+
+  const text = String(value || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    return toValidDayKey(match[1], match[2], match[3]);
+  }
+
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    return toValidDayKey(match[3], match[1], match[2]);
+  }
+
+  const parsed = new Date(text);
+  return isNaN(parsed.getTime()) ? null : getCalendarDayKey(parsed);
+}
@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Idempotent ingestion: keeps duplicate submissions out of Daily_Tracking.
+ * Every entry gets a fingerprint of its content (habit, day, status, count, amount and
+ * comments), stored in Daily_Tracking column Q. An entry is an exact duplicate, and is
+ * rejected, when an existing row has the same fingerprint and either the same form
+ * response ID (a retried trigger) or a CreatedDate within DuplicateWindowMinutes (a
+ * double-tapped submit). An entry for the same habit and day within the window but with
+ * different content is a near-duplicate: it is logged, and listed on Duplicate_Review.
+ * A menu command scans existing history for both.
+ */
+
+/**
+ * Header row of the Duplicate_Review sheet.
+ */
+const DUPLICATE_REVIEW_HEADERS = ['DetectedAt', 'HabitID', 'HabitName', 'Day', 'Row', 'SimilarRow', 'Reason'];
+
+/**
+ * Daily_Tracking column (1-based) holding the entry fingerprint.
+ */
+const TRACKING_FINGERPRINT_COLUMN = 17; // Column Q
+
+/**
+ * Number of Daily_Tracking rows read at a time when scanning back for entries within the duplicate window.
+ */
+const DUPLICATE_SCAN_CHUNK_ROWS = 200;
+
+/**
+ * Gets the Duplicate_Review sheet, creating it with headers if it does not exist.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The duplicate review sheet.
+ */
+function getDuplicateReviewSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let reviewSheet = ss.getSheetByName(SHEET_NAMES.DUPLICATE_REVIEW);
+  if (!reviewSheet) {
+    reviewSheet = ss.insertSheet(SHEET_NAMES.DUPLICATE_REVIEW);
+    reviewSheet.getRange(1, 1, 1, DUPLICATE_REVIEW_HEADERS.length).setValues([DUPLICATE_REVIEW_HEADERS]).setFontWeight('bold');
+    reviewSheet.getRange('E1').setNote(`The ${SHEET_NAMES.TRACKING} row that looks like a duplicate. Void it with Void Selected Entries if it is one`);
+    reviewSheet.getRange('F1').setNote('The earlier row it resembles');
+    reviewSheet.getRange(2, 4, reviewSheet.getMaxRows() - 1, 1).setNumberFormat('@'); // Day holds day keys
+    reviewSheet.setFrozenRows(1);
+    log('INFO', `Created new sheet: ${SHEET_NAMES.DUPLICATE_REVIEW}`);
+  }
+  return reviewSheet;
+}
+
+/**
+ * Computes the fingerprint of a Daily_Tracking row's content. The response ID is not
+ * part of it, so the same entry submitted twice through the form matches.
+ * @param {Array} row The Daily_Tracking row (columns A to L at least).
+ * @return {string} The fingerprint, as a hex MD5 digest.
+ */
+function getEntryFingerprint(row) {
+  // Columns B (HabitID), A (Timestamp), J (CompletionStatus), F (ActualCompletions), L (Amount) and H (Comments)
+  const content = [row[1], getDayKey(row[0]), row[9], row[5], row[11], row[7]].map(value => String(value)).join('|');
+  return Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, content, Utilities.Charset.UTF_8)
+    .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Checks whether a new Daily_Tracking row duplicates an existing one.
+ * Rows from the same form response are edits (see EntryEdits.js) unless their content is identical.
+ * Only the response's own rows and the rows created within the duplicate window are read:
+ * rows are appended in CreatedDate order, so the window is scanned back from the last row.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} trackingSheet The Daily_Tracking sheet.
+ * @param {Array} newRow The row about to be written, with its fingerprint in column Q.
+ * @param {boolean} allowRepeat True for sources where repeating an entry is intended (quick-log taps);
+ *     only the response ID check applies to them.
+ * @return {?{type: string, rowNumber: number}} 'exact' or 'near' and the matching row, or null.
+ */
+function findDuplicateEntry(trackingSheet, newRow, allowRepeat) {
+  const lastRow = trackingSheet.getLastRow();
+  if (lastRow < 2) return null;
+
+  const fingerprint = newRow[TRACKING_FINGERPRINT_COLUMN - 1];
+  const responseId = newRow[TRACKING_RESPONSE_ID_COLUMN - 1];
+  const isLiveRowOfHabit = row => row[1] === newRow[1] && row[TRACKING_DELETED_COLUMN - 1] !== true; // Column B is HabitID
+
+  // The same response submitted again (a retried trigger)
+  if (responseId) {
+    const resubmitted = getResponseTrackingRows(trackingSheet, responseId).filter(entry =>
+      isLiveRowOfHabit(entry.row) && entry.row[TRACKING_RESPONSE_ID_COLUMN - 1] === responseId &&
+      (entry.row[TRACKING_FINGERPRINT_COLUMN - 1] || getEntryFingerprint(entry.row)) === fingerprint);
+    if (resubmitted.length > 0) return { type: 'exact', rowNumber: resubmitted[resubmitted.length - 1].rowNumber };
+  }
+  if (allowRepeat) return null;
+
+  // Another entry within the duplicate window (a double-tapped submit)
+  const windowMs = getConfig().duplicateWindowMinutes * 60 * 1000;
+  const dayKey = getDayKey(newRow[0]);
+  const createdAt = new Date(newRow[8]).getTime(); // Column I is CreatedDate
+  let near = null;
+  for (let chunkEnd = lastRow; chunkEnd >= 2; chunkEnd -= DUPLICATE_SCAN_CHUNK_ROWS) {
+    const chunkStart = Math.max(2, chunkEnd - DUPLICATE_SCAN_CHUNK_ROWS + 1);
+    const rows = trackingSheet.getRange(chunkStart, 1, chunkEnd - chunkStart + 1, TRACKING_FINGERPRINT_COLUMN).getValues();
+    for (let i = rows.length - 1; i >= 0; i--) {
+      const row = rows[i];
+      if (!(row[8] instanceof Date)) continue;
+      if (row[8].getTime() < createdAt - windowMs) return near; // Older rows are outside the window
+      if (!isLiveRowOfHabit(row) || row[8].getTime() > createdAt + windowMs) continue;
+
+      // Entries of the same response (the dropdown and the checklist) are never duplicates of each other
+      const entryResponseId = row[TRACKING_RESPONSE_ID_COLUMN - 1];
+      if (responseId && getBaseResponseId(entryResponseId) === getBaseResponseId(responseId)) continue;
+      if ((row[TRACKING_FINGERPRINT_COLUMN - 1] || getEntryFingerprint(row)) === fingerprint) {
+        return { type: 'exact', rowNumber: chunkStart + i };
+      }
+      if (!near && getDayKey(row[0]) === dayKey) near = { type: 'near', rowNumber: chunkStart + i };
+    }
+  }
+  return near;
+}
+
+/**
+ * Lists a suspicious row on the Duplicate_Review sheet.
+ * @param {string} habitId The habit ID.
+ * @param {string} habitName The habit name.
+ * @param {string} dayKey The day the entries count for.
+ * @param {number} rowNumber The Daily_Tracking row that looks like a duplicate.
+ * @param {number} similarRowNumber The earlier row it resembles.
+ * @param {string} reason Why it was flagged.
+ */
+function recordDuplicateForReview(habitId, habitName, dayKey, rowNumber, similarRowNumber, reason) {
+  getDuplicateReviewSheet().appendRow([new Date(), habitId, habitName, dayKey, rowNumber, similarRowNumber, reason]);
+  log('WARN', `Possible duplicate of ${habitName} on ${dayKey}: row ${rowNumber} resembles row ${similarRowNumber} (${reason}).`);
+}
+
+/**
+ * Menu command: scans Daily_Tracking for duplicates. Exact duplicates can be merged
+ * (the first row of each set is kept and the rest are voided); near-duplicates are
+ * listed on Duplicate_Review for a manual decision. Missing fingerprints are filled in.
+ */
+function scanForDuplicatesFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const trackingSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.TRACKING);
+    if (!trackingSheet || trackingSheet.getLastRow() < 2) {
+      ui.alert('Scan for Duplicates', `${SHEET_NAMES.TRACKING} has no entries.`, ui.ButtonSet.OK);
+      return;
+    }
+
+    const rows = trackingSheet.getRange(2, 1, trackingSheet.getLastRow() - 1, TRACKING_FINGERPRINT_COLUMN).getValues();
+    const fingerprints = rows.map(row => row[1] ? (row[TRACKING_FINGERPRINT_COLUMN - 1] || getEntryFingerprint(row)) : '');
+    if (rows.some((row, index) => fingerprints[index] !== row[TRACKING_FINGERPRINT_COLUMN - 1])) {
+      trackingSheet.getRange(2, TRACKING_FINGERPRINT_COLUMN, rows.length, 1).setValues(fingerprints.map(fingerprint => [fingerprint]));
+    }
+
+    const results = findDuplicatesInHistory(rows, fingerprints, getConfig().duplicateWindowMinutes * 60 * 1000);
+    const reviewed = loadReviewedDuplicatePairs();
+    results.near.filter(pair => !reviewed[`${pair.rowNumber}|${pair.similarRowNumber}`]).forEach(pair => {
+      const row = rows[pair.rowNumber - 2];
+      recordDuplicateForReview(row[1], row[2], getDayKey(row[0]), pair.rowNumber, pair.similarRowNumber, 'Same habit and day within the duplicate window');
+    });
+
+    if (results.exact.length === 0) {
+      ui.alert('Scan for Duplicates', `No exact duplicates found. ${results.near.length} near-duplicates are listed on ${SHEET_NAMES.DUPLICATE_REVIEW}.`, ui.ButtonSet.OK);
+      return;
+    }
+
+    const confirm = ui.alert('Scan for Duplicates',
+      `Found ${results.exact.length} exact duplicates (${results.near.length} near-duplicates are listed on ${SHEET_NAMES.DUPLICATE_REVIEW}).\n\n` +
+      'Merge them? The first entry of each set is kept and the others are voided.', ui.ButtonSet.YES_NO);
+    if (confirm !== ui.Button.YES) return;
+
+    const voided = voidTrackingRows(trackingSheet, results.exact.map(pair => pair.rowNumber));
+    if (voided > 0) {
+      updateDashboard();
+    }
+    ui.alert('Scan for Duplicates', `Voided ${voided} duplicate entries.`, ui.ButtonSet.OK);
+
+  } catch (error) {
+    log('ERROR', 'Failed to scan for duplicates:', error.message, error.stack);
+    ui.alert('Scan Failed', `Error: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Finds duplicate entries in Daily_Tracking history, using the same rules as findDuplicateEntry.
+ * Voided rows are ignored.
+ * @param {Array<Array>} rows The Daily_Tracking rows (columns A to Q), from row 2.
+ * @param {Array<string>} fingerprints The fingerprint of each row.
+ * @param {number} windowMs The duplicate window, in milliseconds.
+ * @return {{exact: Array<Object>, near: Array<Object>}} Pairs of {rowNumber, similarRowNumber},
+ *     where rowNumber is the later row; each row appears at most once as a later row.
+ */
+function findDuplicatesInHistory(rows, fingerprints, windowMs) {
+  const rowsByHabitDay = {};
+  rows.forEach((row, index) => {
+    if (!row[0] || !row[1] || row[TRACKING_DELETED_COLUMN - 1] === true) return;
+    const key = `${row[1]}|${getDayKey(row[0])}`; // Columns B (HabitID) and A (Timestamp)
+    rowsByHabitDay[key] = rowsByHabitDay[key] || [];
+    rowsByHabitDay[key].push(index);
+  });
+
+  const exact = [];
+  const near = [];
+  Object.keys(rowsByHabitDay).forEach(key => {
+    const indexes = rowsByHabitDay[key];
+    indexes.forEach((index, position) => {
+      const row = rows[index];
+      const responseId = row[TRACKING_RESPONSE_ID_COLUMN - 1];
+      let nearIndex = -1;
+      for (let k = 0; k < position; k++) {
+        const earlier = rows[indexes[k]];
+        const sameResponse = responseId && earlier[TRACKING_RESPONSE_ID_COLUMN - 1] === responseId;
+        const sameSubmission = responseId && getBaseResponseId(earlier[TRACKING_RESPONSE_ID_COLUMN - 1]) === getBaseResponseId(responseId);
+        const withinWindow = !sameSubmission && row[8] instanceof Date && earlier[8] instanceof Date && // Column I is CreatedDate
+          Math.abs(row[8].getTime() - earlier[8].getTime()) <= windowMs;
+        if ((sameResponse || withinWindow) && fingerprints[index] === fingerprints[indexes[k]]) {
+          exact.push({ rowNumber: index + 2, similarRowNumber: indexes[k] + 2 });
+          return;
+        }
+        if (withinWindow && nearIndex === -1) nearIndex = indexes[k];
+      }
+      if (nearIndex !== -1) near.push({ rowNumber: index + 2, similarRowNumber: nearIndex + 2 });
+    });
+  });
+  return { exact: exact, near: near };
+}
+
+/**
+ * Loads the row pairs already listed on the Duplicate_Review sheet, so a rescan doesn't list them again.
+ * @return {Object<string, boolean>} True for each "row|similarRow" key.
+ */
+function loadReviewedDuplicatePairs() {
+  const reviewSheet = getDuplicateReviewSheet();
+  const pairs = {};
+  if (reviewSheet.getLastRow() < 2) return pairs;
+
+  reviewSheet.getRange(2, 5, reviewSheet.getLastRow() - 1, 2).getValues() // Columns E (Row) and F (SimilarRow)
+    .forEach(row => pairs[`${row[0]}|${row[1]}`] = true);
+  return pairs;
+}
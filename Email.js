@@ -29,17 +29,13 @@ function shouldSendEmail(lastSentTimestamp, frequency) {
 /**
  * Sends a robust, thread-managed HTML email report to accountability friends.
  * Uses proven thread management and error handling patterns.
+ * Each habit owner gets their own report, sent to their own partners in their own
+ * thread (see getAccountabilityRecipients); habits without an owner share one report.
  */
 function sendAccountabilityEmail() {
   try {
     const config = getConfig();
     
-    // Validate email configuration
-    if (!config.accountabilityEmails || config.accountabilityEmails.length === 0) {
-      log('WARN', 'No accountability emails configured. Skipping email send.');
-      return;
-    }
-    
     if (config.debugMode) {
       log('INFO', 'Debug mode is active. Email will not be sent.');
       return;
@@ -62,23 +58,60 @@ function sendAccountabilityEmail() {
       return;
     }
 
-    // Get the latest comment to include in the email
+    // Split the dashboard rows by owner, keeping their order
+    const headers = dashboardData[0];
+    const ownerIndex = headers.indexOf('Owner');
+    const rowsByOwner = {};
+    const owners = [];
+    dashboardData.slice(1).forEach(row => {
+      const owner = ownerIndex === -1 ? '' : String(row[ownerIndex]).trim();
+      const key = owner.toLowerCase();
+      if (!rowsByOwner[key]) {
+        rowsByOwner[key] = [];
+        owners.push(owner);
+      }
+      rowsByOwner[key].push(row);
+    });
+
     const trackingSheet = ss.getSheetByName(SHEET_NAMES.TRACKING);
-    const comments = getRecentComments(trackingSheet);
+    const habitsSheet = ss.getSheetByName(SHEET_NAMES.HABITS);
+    const habitsData = habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, habitsSheet.getLastColumn()).getValues();
+    const people = loadPeople();
+    const lastEmailSent = new Date(config.lastEmailSent);
+    let sent = 0;
 
-    const subject = 'Your Daily Habit Tracker Update';
-    const recipientEmail = config.accountabilityEmails.join(',');
-    
-    // Generate enhanced HTML email
-    const htmlBody = generateEnhancedHtmlEmail(dashboardData, comments);
+    owners.forEach(owner => {
+      const recipients = getAccountabilityRecipients(owner, config, people);
+      if (recipients.emails.length === 0) {
+        log('WARN', `No accountability emails configured for ${owner || 'habits without an owner'}. Skipping email send.`);
+        return;
+      }
+
+      const ownerRows = rowsByOwner[owner.toLowerCase()];
+      const habitIds = habitsData.filter(habit => habit[0] && isSamePerson(getHabitOwner(habit), owner)).map(habit => habit[0]);
+
+      // Get the owner's latest comment and personal records set since the last email
+      const comments = getRecentComments(trackingSheet, owner);
+      const newRecords = getNewPersonalRecords(lastEmailSent, habitIds);
 
-    // Send email with robust thread management
-    sendEmailWithThreadManagement(recipientEmail, subject, htmlBody);
+      const subject = owner ? `${owner}'s Daily Habit Tracker Update` : 'Your Daily Habit Tracker Update';
+      
+      // Generate enhanced HTML email
+      const htmlBody = generateEnhancedHtmlEmail([headers].concat(ownerRows), comments, newRecords);
+
+      // Send email with robust thread management
+      sendEmailWithThreadManagement(recipients.emails.join(','), subject, htmlBody, recipients.threadKey);
+      sent++;
+    });
+
+    if (sent === 0) {
+      return;
+    }
 
     // Update the last sent timestamp in the config sheet
     updateLastEmailSentTimestamp();
 
-    log('INFO', 'Accountability email sent successfully with thread management.');
+    log('INFO', `Accountability email sent successfully with thread management (${sent} reports).`);
     
   } catch (error) {
     log('ERROR', 'Failed to send accountability email:', error.message, error.stack);
@@ -91,11 +124,13 @@ function sendAccountabilityEmail() {
  * @param {string} recipientEmail The recipient email address(es)
  * @param {string} subject The email subject
  * @param {string} htmlBody The HTML email body
+ * @param {string=} threadKey The script property holding the thread ID (defaults to 'habitTrackerThreadId')
  */
-function sendEmailWithThreadManagement(recipientEmail, subject, htmlBody) {
+function sendEmailWithThreadManagement(recipientEmail, subject, htmlBody, threadKey) {
+  threadKey = threadKey || 'habitTrackerThreadId';
   try {
     const properties = PropertiesService.getScriptProperties();
-    const currentThreadId = properties.getProperty('habitTrackerThreadId');
+    const currentThreadId = properties.getProperty(threadKey);
     let thread = null;
     
     // Check if a thread ID exists and try to find the thread using robust search
@@ -133,7 +168,7 @@ function sendEmailWithThreadManagement(recipientEmail, subject, htmlBody) {
       // The thread was not found, so create a new one
       if (currentThreadId) {
         // Store the previous thread ID for debugging purposes
-        properties.setProperty('lastKnownHabitTrackerThreadId', currentThreadId);
+        properties.setProperty(threadKey === 'habitTrackerThreadId' ? 'lastKnownHabitTrackerThreadId' : `lastKnown_${threadKey}`, currentThreadId);
         log('INFO', `Previous thread ID (${currentThreadId}) stored for debugging. Starting new thread.`);
       } else {
         log('INFO', 'No previous thread ID found. Starting new thread.');
@@ -144,7 +179,7 @@ function sendEmailWithThreadManagement(recipientEmail, subject, htmlBody) {
       const newThread = draft.send().getThread();
       const newThreadId = newThread.getId();
       
-      properties.setProperty('habitTrackerThreadId', newThreadId);
+      properties.setProperty(threadKey, newThreadId);
       log('INFO', `Created new thread with ID: ${newThreadId}`);
     }
     
@@ -165,11 +200,13 @@ function sendEmailWithThreadManagement(recipientEmail, subject, htmlBody) {
 
 /**
  * Generates enhanced HTML email with improved styling and formatting.
+ * Habits are shown in one section per category, headed by the category's subtotals.
  * @param {Array<Array>} dashboardData The data from the dashboard sheet
  * @param {string} comments The latest user comments
+ * @param {Array<string>=} newRecords Personal records set since the last email
  * @return {string} The complete HTML string for the email body
  */
-function generateEnhancedHtmlEmail(dashboardData, comments) {
+function generateEnhancedHtmlEmail(dashboardData, comments, newRecords) {
   let html = `
     <html>
       <head>
@@ -181,9 +218,14 @@ function generateEnhancedHtmlEmail(dashboardData, comments) {
           .odd-row { background-color: #ffffff; }
           td { padding: 8px; border: 1px solid #cccccc; }
           .comment-section { margin-top: 20px; padding: 10px; border: 1px solid #ccc; background-color: #f9f9f9; }
+          .records-section { margin-top: 20px; padding: 10px; border: 1px solid #f1c232; background-color: #fff2cc; }
           .success { background-color: #b6d7a8; font-weight: bold; text-align: center; }
           .failure { background-color: #ea9999; font-weight: bold; text-align: center; }
           .neutral { text-align: center; }
+          .paused { background-color: #d9d9d9; color: #666666; text-align: center; }
+          .excused { background-color: #cfe2f3; color: #1c4587; text-align: center; }
+          .frozen { background-color: #d0e0e3; color: #134f5c; text-align: center; }
+          .offday { color: #b7b7b7; text-align: center; }
         </style>
       </head>
       <body>
@@ -201,52 +243,107 @@ function generateEnhancedHtmlEmail(dashboardData, comments) {
     `;
   }
 
-  html += `
-    <h3 style="margin-top: 20px;">Habit Dashboard</h3>
-    <table>
-      <thead>
-        <tr>
-          <th>Habit Name</th>
-          <th>Days Since Start</th>
-          <th>Days Remaining</th>
-          <th>Current Streak</th>
-          <th>Success %</th>
-          <th colspan="7">Last 7 Days</th>
-        </tr>
-        <tr>
-          <td colspan="5"></td>
-          ${dashboardData[0].slice(-7).map(date => `<th>${date}</th>`).join('')}
-        </tr>
-      </thead>
-      <tbody>
-  `;
+  if (newRecords && newRecords.length > 0) {
+    html += `
+      <div class="records-section">
+        <p><strong>🏆 New Personal Records!</strong></p>
+        <ul>${newRecords.map(record => `<li>${record}</li>`).join('')}</ul>
+      </div>
+    `;
+  }
+
+  html += `<h3 style="margin-top: 20px;">Habit Dashboard</h3>`;
 
-  // Filter out the header row and create table body with alternating colors
-  const bodyData = dashboardData.slice(1);
+  // Look up the summary columns by header so dashboard column changes don't shift them
+  const headers = dashboardData[0];
+  const summaryIndexes = ['Habit Name', 'Schedule', 'Days Since Start', 'Days Remaining', 'Current Streak', 'Success Rate']
+    .map(title => headers.indexOf(title));
+  const nameIndex = headers.indexOf('Habit Name');
+  const categoryIndex = headers.indexOf('Category');
+  
+  // Split the rows (minus the header) into one section per category; the dashboard
+  // already lists them grouped, each group followed by its subtotal row
+  const sections = [];
+  dashboardData.slice(1).forEach(row => {
+    const category = categoryIndex === -1 ? '' : row[categoryIndex];
+    let section = sections[sections.length - 1];
+    if (!section || section.category !== category) {
+      section = { category: category, rows: [], subtotal: null };
+      sections.push(section);
+    }
+    if (row[nameIndex] === DASHBOARD_SUBTOTAL_LABEL) {
+      section.subtotal = row;
+    } else {
+      section.rows.push(row);
+    }
+  });
   
-  bodyData.forEach((row, rowIndex) => {
-    const rowClass = rowIndex % 2 === 0 ? 'even-row' : 'odd-row';
-    html += `<tr class="${rowClass}">`;
+  sections.forEach(section => {
+    if (section.category) {
+      html += `<h4 style="margin-top: 20px; margin-bottom: 0;">${section.category}</h4>`;
+    }
+    if (section.subtotal) {
+      html += `
+        <p style="margin: 4px 0; font-size: 13px; color: #555;">
+          Success rate ${section.subtotal[headers.indexOf('Success Rate')]} ·
+          average streak ${section.subtotal[headers.indexOf('Current Streak')]} ·
+          ${section.subtotal[headers.indexOf('% Reached')]} on target today
+        </p>
+      `;
+    }
     
-    // Habit details (first 5 columns)
-    html += row.slice(0, 5).map(cell => `<td>${cell}</td>`).join('');
+    html += `
+      <table>
+        <thead>
+          <tr>
+            <th>Habit Name</th>
+            <th>Schedule</th>
+            <th>Days Since Start</th>
+            <th>Days Remaining</th>
+            <th>Current Streak</th>
+            <th>Success %</th>
+            <th colspan="7">Last 7 Days</th>
+          </tr>
+          <tr>
+            <td colspan="6"></td>
+            ${headers.slice(-7).map(date => `<th>${date}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+    `;
     
-    // Last 7 days view with enhanced styling
-    html += row.slice(-7).map(cell => {
-      let cellClass = 'neutral';
-      if (cell === '✓') cellClass = 'success';
-      else if (cell === '✗') cellClass = 'failure';
-      return `<td class="${cellClass}">${cell}</td>`;
-    }).join('');
+    // Table body with alternating colors
+    section.rows.forEach((row, rowIndex) => {
+      const rowClass = rowIndex % 2 === 0 ? 'even-row' : 'odd-row';
+      html += `<tr class="${rowClass}">`;
+      
+      // Habit details (summary columns)
+      html += summaryIndexes.map(index => `<td>${index === -1 ? '' : row[index]}</td>`).join('');
+      
+      // Last 7 days view with enhanced styling
+      html += row.slice(-7).map(cell => {
+        let cellClass = 'neutral';
+        if (cell.indexOf('✓') !== -1) cellClass = 'success';
+        else if (cell.indexOf('✗') !== -1) cellClass = 'failure'; // Limit habits that went over
+        else if (cell === '⏸') cellClass = 'paused';
+        else if (cell === '⊘') cellClass = 'excused';
+        else if (cell === '❄') cellClass = 'frozen';
+        else if (cell === '·') cellClass = 'offday';
+        return `<td class="${cellClass}">${cell}</td>`;
+      }).join('');
+      
+      html += `</tr>`;
+    });
     
-    html += `</tr>`;
+    html += `
+        </tbody>
+      </table>
+    `;
   });
 
   html += `
-      </tbody>
-    </table>
     <p style="margin-top: 20px; font-size: 12px; color: #888;">
-      This email was generated automatically by your Habit Tracker system at ${new Date().toLocaleString()}.
+      This email was generated automatically by your Habit Tracker system at ${formatTrackerDateTime(new Date())}.
     </p>
   </body>
   </html>
@@ -290,9 +387,10 @@ function updateLastEmailSentTimestamp() {
 /**
  * Retrieves the most recent comment from the tracking sheet.
  * @param {Sheet} trackingSheet The Daily_Tracking sheet object.
+ * @param {string} owner Only look at this person's entries ('' for entries without an owner).
  * @return {string} The latest comment, or an empty string if none is found.
  */
-function getRecentComments(trackingSheet) {
+function getRecentComments(trackingSheet, owner) {
   try {
     if (!trackingSheet) {
       log('WARN', 'Tracking sheet not found for comments');
@@ -302,9 +400,14 @@ function getRecentComments(trackingSheet) {
     const lastRow = trackingSheet.getLastRow();
     if (lastRow < 2) return '';
     
-    const lastEntry = trackingSheet.getRange(lastRow, 1, 1, trackingSheet.getLastColumn()).getValues()[0];
-    const comment = lastEntry[6]; // Comments are in the 7th column (index 6)
-    return comment || '';
+    // Walk back from the newest entry to the owner's latest one (Owner is column M), skipping voided entries
+    const entries = trackingSheet.getRange(2, 8, lastRow - 1, 9).getValues(); // Columns H (Comments) through P (Deleted)
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (isSamePerson(entries[i][5], owner) && entries[i][8] !== true) {
+        return entries[i][0] || '';
+      }
+    }
+    return '';
     
   } catch (error) {
     log('ERROR', 'Error retrieving recent comments:', error.message);
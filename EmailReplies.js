@@ -0,0 +1,296 @@
+/**
+ * @fileoverview Logs habits from replies to the accountability email thread.
+ * A time-driven job reads new replies in each tracker thread (the default
+ * 'habitTrackerThreadId' and each person's 'habitTrackerThreadId_<name>'), from that
+ * thread's owner only, and logs one entry per line it understands:
+ *   meditation x2          -> 2 completions
+ *   H003 done              -> 1 completion
+ *   read 3x - great book   -> 3 completions, with a comment
+ *   skipped run - sick     -> Excused, with the reason (Missed if no reason is given)
+ * Entries go through processNewEntry, and the owner gets a reply confirming what was logged.
+ */
+
+/**
+ * How often, in minutes, the job checks the threads for replies.
+ */
+const EMAIL_REPLY_CHECK_MINUTES = 15;
+
+/**
+ * Script property holding the time (ms) up to which replies have been processed.
+ */
+const EMAIL_REPLY_CURSOR_PROPERTY = 'emailReplyCursor';
+
+/**
+ * Script property holding the IDs of replies after the cursor that were already processed,
+ * so a run that fails partway doesn't log them again on the next run.
+ */
+const EMAIL_REPLY_PROCESSED_PROPERTY = 'emailReplyProcessedIds';
+
+/**
+ * Text found in every email the tracker sends, so its own messages are never parsed.
+ */
+const EMAIL_REPLY_GENERATED_MARKER = 'generated automatically by your Habit Tracker';
+
+/**
+ * Sets up the time-driven trigger for processEmailReplies.
+ * Any existing trigger for it is replaced, so running this twice is safe.
+ */
+function setupEmailReplyTrigger() {
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'processEmailReplies') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+
+  ScriptApp.newTrigger('processEmailReplies')
+    .timeBased()
+    .everyMinutes(EMAIL_REPLY_CHECK_MINUTES)
+    .create();
+
+  log('INFO', 'Email reply trigger created successfully.');
+}
+
+/**
+ * Time-driven job: logs habits from replies received in the tracker threads since the last run.
+ * The dashboard is refreshed when anything was logged.
+ */
+function processEmailReplies() {
+  try {
+    const properties = PropertiesService.getScriptProperties();
+    const allProperties = properties.getProperties();
+    const runStart = new Date().getTime();
+    const cursor = Number(allProperties[EMAIL_REPLY_CURSOR_PROPERTY]) || runStart - EMAIL_REPLY_CHECK_MINUTES * 60 * 1000;
+    const processedIds = JSON.parse(allProperties[EMAIL_REPLY_PROCESSED_PROPERTY] || '[]');
+
+    const threadKeys = Object.keys(allProperties)
+      .filter(key => key === 'habitTrackerThreadId' || key.indexOf('habitTrackerThreadId_') === 0);
+    if (threadKeys.length === 0) {
+      log('DEBUG', 'No tracker email threads yet; nothing to check for replies.');
+      return;
+    }
+
+    const habitsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.HABITS);
+    const habitsData = habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, 17).getValues(); // Through column Q (Owner)
+    const people = loadPeople();
+    let loggedCount = 0;
+
+    threadKeys.forEach(threadKey => {
+      const threads = GmailApp.search('thread:' + allProperties[threadKey]);
+      if (threads.length === 0) {
+        log('WARN', `Thread ${allProperties[threadKey]} (${threadKey}) was not found; skipping its replies.`);
+        return;
+      }
+
+      // The default thread belongs to the tracker's owner; a person's thread to that person
+      const ownerKey = threadKey === 'habitTrackerThreadId' ? '' : threadKey.slice('habitTrackerThreadId_'.length);
+      const person = ownerKey ? findPersonByName(people, ownerKey) : null;
+      const ownerName = person ? person.name : ownerKey;
+      const ownerEmail = ownerKey ? (person ? person.email : '') : Session.getEffectiveUser().getEmail();
+      if (!ownerEmail) {
+        log('WARN', `${ownerName} has no Email on the ${SHEET_NAMES.PEOPLE} sheet; replies in their thread are ignored.`);
+        return;
+      }
+
+      const habits = habitsData.filter(row => row[0] && row[6] !== 'Completed' && // Column G is Status
+        (ownerKey ? isSamePerson(getHabitOwner(row), ownerName) : !getHabitOwner(row)));
+      threads[0].getMessages()
+        .filter(message => message.getDate().getTime() > cursor && message.getDate().getTime() <= runStart)
+        .filter(message => processedIds.indexOf(message.getId()) === -1)
+        .forEach(message => {
+          loggedCount += processEmailReply(message, ownerEmail, ownerName, habits);
+          // Recorded per message: the cursor only moves once every thread has been processed
+          processedIds.push(message.getId());
+          properties.setProperty(EMAIL_REPLY_PROCESSED_PROPERTY, JSON.stringify(processedIds));
+        });
+    });
+
+    // Everything up to runStart is done, so the processed IDs are no longer needed
+    properties.setProperty(EMAIL_REPLY_CURSOR_PROPERTY, String(runStart));
+    properties.deleteProperty(EMAIL_REPLY_PROCESSED_PROPERTY);
+    if (loggedCount > 0) {
+      updateDashboard();
+    }
+    log('INFO', `Email replies processed: ${loggedCount} entries logged.`);
+
+  } catch (error) {
+    log('ERROR', 'Failed to process email replies:', error.message, error.stack);
+  }
+}
+
+/**
+ * Logs the habits in one reply and replies with what was logged.
+ * Messages from anyone but the thread's owner, and the tracker's own emails, are ignored.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The reply.
+ * @param {string} ownerEmail The thread owner's email address.
+ * @param {string} ownerName The thread owner's name, or '' for the default thread.
+ * @param {Array<Array>} habits The Habits_Main rows the owner can log.
+ * @return {number} The number of entries logged.
+ */
+function processEmailReply(message, ownerEmail, ownerName, habits) {
+  const fromMatch = message.getFrom().match(/<([^>]+)>/);
+  const sender = (fromMatch ? fromMatch[1] : message.getFrom()).trim().toLowerCase();
+  if (sender !== ownerEmail.toLowerCase()) return 0;
+
+  // Only the reply's own lines: a real reply quotes the tracker email, marker included
+  const lines = getEmailReplyLines(message.getPlainBody());
+  if (lines.join(' ').replace(/\s+/g, ' ').indexOf(EMAIL_REPLY_GENERATED_MARKER) !== -1) return 0;
+
+  const outcomes = [];
+  const notUnderstood = [];
+  lines.forEach(line => {
+    const command = parseEmailReplyLine(line);
+    if (!command) {
+      notUnderstood.push(line);
+      return;
+    }
+
+    const match = resolveEmailReplyHabit(command.habitText, habits);
+    if (!match.habit) {
+      outcomes.push({ line: line, ok: false, message: match.error });
+      return;
+    }
+
+    const result = processNewEntry(buildEntryData({
+      habitName: match.habit[1],
+      habitId: match.habit[0],
+      status: command.status,
+      count: command.count,
+      comments: command.comment,
+      excusedReason: command.excusedReason,
+      dayKey: getDayKey(message.getDate()), // The day the reply was sent, not when it is polled
+      person: ownerName
+    }));
+    outcomes.push({
+      line: line,
+      ok: result.accepted,
+      message: result.accepted ? describeEmailReplyCommand(match.habit[1], command) : result.reason
+    });
+  });
+
+  // Replies without a single habit line (e.g. just a note) get no confirmation
+  if (outcomes.length === 0) return 0;
+
+  const loggedCount = outcomes.filter(outcome => outcome.ok).length;
+  try {
+    message.reply('', { htmlBody: generateEmailReplyConfirmationHtml(outcomes, notUnderstood) });
+  } catch (error) {
+    // The entries are logged; a failed confirmation must not get the reply processed again
+    log('ERROR', 'Failed to send the email reply confirmation:', error.message, error.stack);
+  }
+  log('INFO', `Logged ${loggedCount} of ${outcomes.length} habit lines from an email reply${ownerName ? ` by ${ownerName}` : ''}.`);
+  return loggedCount;
+}
+
+/**
+ * Gets the lines a reply adds, without the quoted earlier messages or a signature.
+ * @param {string} body The plain-text body of the reply.
+ * @return {Array<string>} The non-empty lines, trimmed.
+ */
+function getEmailReplyLines(body) {
+  const rawLines = String(body || '').split(/\r?\n/).map(line => line.trim());
+  const lines = [];
+  for (let i = 0; i < rawLines.length; i++) {
+    const line = rawLines[i];
+    const isQuoteHeader = /^On\s.+/.test(line) && (/wrote:$/.test(line) || /wrote:$/.test(rawLines[i + 1] || ''));
+    if (line.indexOf('>') === 0 || isQuoteHeader || /^--\s*$/.test(line) || /^-+\s*Original Message\s*-+$/i.test(line)) break;
+    if (line) lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Parses one reply line into a logging command.
+ * @param {string} line The line, e.g. "meditation x2", "H003 done" or "skipped run - sick".
+ * @return {?{habitText: string, count: number, status: string, excusedReason: string, comment: string}}
+ *     The command, or null if the line isn't one.
+ */
+function parseEmailReplyLine(line) {
+  let text = String(line || '').trim().replace(/^[-*•]\s*/, ''); // Allow bulleted lists
+  let note = '';
+  const separator = text.search(/\s[-–—]\s/);
+  if (separator !== -1) {
+    note = text.slice(separator).replace(/^\s[-–—]\s/, '').trim();
+    text = text.slice(0, separator).trim();
+  }
+
+  let match = text.match(/^skip(?:ped)?\s+(.+)$/i);
+  if (match) {
+    return { habitText: match[1].trim(), count: 0, status: note ? 'Excused' : 'Missed', excusedReason: note, comment: '' };
+  }
+
+  match = text.match(/^(.+?)\s+(?:x\s*(\d+)|(\d+)\s*x)$/i);
+  if (match) {
+    return { habitText: match[1].trim(), count: parseInt(match[2] || match[3], 10), status: 'Completed', excusedReason: '', comment: note };
+  }
+
+  match = text.match(/^(.+?)\s+(?:done|completed|✓|✔)$/i);
+  if (match) {
+    return { habitText: match[1].trim(), count: 1, status: 'Completed', excusedReason: '', comment: note };
+  }
+  return null;
+}
+
+/**
+ * Finds the habit a reply line names: by HabitID, by name, by a recorded old name,
+ * or by a unique partial name match (e.g. "run" for "Morning run").
+ * @param {string} habitText The habit as written in the reply.
+ * @param {Array<Array>} habits The Habits_Main rows the owner can log.
+ * @return {{habit: (Array|undefined), error: (string|undefined)}} The habit, or why none was found.
+ */
+function resolveEmailReplyHabit(habitText, habits) {
+  const text = habitText.trim().toLowerCase();
+  const exact = habits.find(row => String(row[0]).toLowerCase() === text || String(row[1]).trim().toLowerCase() === text);
+  if (exact) return { habit: exact };
+
+  const aliasId = loadHabitAliases()[text];
+  const byAlias = aliasId ? habits.find(row => row[0] === aliasId) : undefined;
+  if (byAlias) return { habit: byAlias };
+
+  const partial = habits.filter(row => {
+    const name = String(row[1]).trim().toLowerCase();
+    return name && (name.indexOf(text) !== -1 || text.indexOf(name) !== -1);
+  });
+  if (partial.length === 1) return { habit: partial[0] };
+  if (partial.length > 1) {
+    return { error: `"${habitText}" matches several habits: ${partial.map(row => row[1]).join(', ')}` };
+  }
+  return { error: `No habit matches "${habitText}"` };
+}
+
+/**
+ * Describes a logged command for the confirmation email.
+ * @param {string} habitName The habit's name.
+ * @param {Object} command The command from parseEmailReplyLine.
+ * @return {string} E.g. "Meditate: 2x" or "Run: Excused (sick)".
+ */
+function describeEmailReplyCommand(habitName, command) {
+  if (command.status === 'Excused') return `${habitName}: Excused (${command.excusedReason})`;
+  if (command.status === 'Missed') return `${habitName}: Missed`;
+  return `${habitName}: ${command.count}x${command.comment ? ` (${command.comment})` : ''}`;
+}
+
+/**
+ * Generates the HTML body of the confirmation sent back to a reply.
+ * @param {Array<{line: string, ok: boolean, message: string}>} outcomes One outcome per habit line.
+ * @param {Array<string>} notUnderstood Lines that weren't habit lines.
+ * @return {string} The complete HTML string for the email body
+ */
+function generateEmailReplyConfirmationHtml(outcomes, notUnderstood) {
+  const logged = outcomes.filter(outcome => outcome.ok);
+  const rejected = outcomes.filter(outcome => !outcome.ok);
+  const listItems = items => items.map(item => `<li>${String(item).replace(/&/g, '&amp;').replace(/</g, '&lt;')}</li>`).join('');
+
+  return `
+    <html>
+      <body style="font-family: Arial, sans-serif;">
+        ${logged.length > 0 ? `<p><b>✅ Logged:</b></p><ul>${listItems(logged.map(outcome => outcome.message))}</ul>` : ''}
+        ${rejected.length > 0 ? `<p><b>⚠️ Not logged:</b></p><ul>${listItems(rejected.map(outcome => `${outcome.line} — ${outcome.message}`))}</ul>` : ''}
+        ${notUnderstood.length > 0 ? `<p><b>❓ Not understood:</b></p><ul>${listItems(notUnderstood)}</ul>
+          <p style="color: #666;">Write one habit per line, e.g. "meditation x2", "H003 done" or "skipped run - sick".</p>` : ''}
+        <p style="margin-top: 20px; font-size: 12px; color: #888;">
+          This email was ${EMAIL_REPLY_GENERATED_MARKER} system at ${formatTrackerDateTime(new Date())}.
+        </p>
+      </body>
+    </html>
+  `;
+}
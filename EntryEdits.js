@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Keeps Daily_Tracking in step with edited form responses and voided entries.
+ * Each row carries its form response ID and edit URL (columns N and O). Checklist entries
+ * store the response ID with a '#checklist' suffix, so a habit picked in the dropdown and
+ * ticked in the checklist of the same response keeps two separate rows. When a respondent
+ * edits a response, its rows are updated in place instead of appended again, and rows
+ * for habits no longer in the response are voided. Voided rows (Deleted, column P) stay
+ * in the sheet for reference but are left out of the rollup, so no metric counts them.
+ */
+
+/**
+ * Daily_Tracking column (1-based) holding the form response ID.
+ */
+const TRACKING_RESPONSE_ID_COLUMN = 14; // Column N
+
+/**
+ * Daily_Tracking column (1-based) holding the Deleted flag.
+ */
+const TRACKING_DELETED_COLUMN = 16; // Column P
+
+/**
+ * Suffix added to the response ID of entries from the 'Daily Checklist' grid.
+ */
+const CHECKLIST_RESPONSE_SUFFIX = '#checklist';
+
+/**
+ * Gets the form response ID a Daily_Tracking ResponseID belongs to, without the checklist suffix.
+ * @param {string} entryResponseId The ResponseID of an entry (column N).
+ * @return {string} The form response ID.
+ */
+function getBaseResponseId(entryResponseId) {
+  return String(entryResponseId || '').replace(CHECKLIST_RESPONSE_SUFFIX, '');
+}
+
+/**
+ * Reads the Daily_Tracking rows a form response logged, including its checklist rows.
+ * The rows are located with a TextFinder on column N, so only they are read, not the whole sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} trackingSheet The Daily_Tracking sheet.
+ * @param {string} responseId The form response ID (a checklist suffix is ignored).
+ * @return {Array<{rowNumber: number, row: Array}>} The rows (columns A to Q) in sheet order.
+ */
+function getResponseTrackingRows(trackingSheet, responseId) {
+  const baseResponseId = getBaseResponseId(responseId);
+  if (!baseResponseId || trackingSheet.getLastRow() < 2) return [];
+
+  const rowNumbers = trackingSheet.getRange(2, TRACKING_RESPONSE_ID_COLUMN, trackingSheet.getLastRow() - 1, 1)
+    .createTextFinder(baseResponseId)
+    .matchCase(true)
+    .findAll()
+    .map(cell => cell.getRow());
+  if (rowNumbers.length === 0) return [];
+
+  // One read spanning the matches; a response's rows are appended together, so the span is short
+  const firstRow = Math.min.apply(null, rowNumbers);
+  const lastRow = Math.max.apply(null, rowNumbers);
+  const rows = trackingSheet.getRange(firstRow, 1, lastRow - firstRow + 1, TRACKING_FINGERPRINT_COLUMN).getValues();
+  return rows
+    .map((row, index) => ({ rowNumber: firstRow + index, row: row }))
+    .filter(entry => getBaseResponseId(entry.row[TRACKING_RESPONSE_ID_COLUMN - 1]) === baseResponseId);
+}
+
+/**
+ * Finds the Daily_Tracking row a form response logged for a habit.
+ * Voided rows are ignored.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} trackingSheet The Daily_Tracking sheet.
+ * @param {string} responseId The entry's response ID (with the checklist suffix for checklist entries).
+ * @param {string} habitId The habit ID.
+ * @return {number} The 1-based row number, or -1 if the response hasn't logged that habit.
+ */
+function findTrackingRowForResponse(trackingSheet, responseId, habitId) {
+  if (!responseId) return -1;
+
+  const entries = getResponseTrackingRows(trackingSheet, responseId);
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const row = entries[i].row;
+    if (row[TRACKING_RESPONSE_ID_COLUMN - 1] === responseId && row[1] === habitId && // Column B is HabitID
+      row[TRACKING_DELETED_COLUMN - 1] !== true) {
+      return entries[i].rowNumber;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Takes a Daily_Tracking row's entry back out of the rollup, before it is overwritten or voided.
+ * @param {Array} entry The Daily_Tracking row (columns A to L at least).
+ */
+function removeTrackingRowFromRollup(entry) {
+  // Columns B (HabitID), A (Timestamp), F (ActualCompletions), J (CompletionStatus) and L (Amount)
+  removeRollupEntry(entry[1], getDayKey(entry[0]), entry[5] || 0, entry[9] === 'Excused', Number(entry[11]) || 0);
+}
+
+/**
+ * Voids Daily_Tracking rows: sets their Deleted flag and takes them out of the rollup.
+ * Rows that are already voided are left alone.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} trackingSheet The Daily_Tracking sheet.
+ * @param {Array<number>} rowNumbers The 1-based row numbers.
+ * @return {number} The number of rows voided.
+ */
+function voidTrackingRows(trackingSheet, rowNumbers) {
+  let voided = 0;
+  rowNumbers.forEach(rowNumber => {
+    const entry = trackingSheet.getRange(rowNumber, 1, 1, TRACKING_DELETED_COLUMN).getValues()[0];
+    if (!entry[1] || entry[TRACKING_DELETED_COLUMN - 1] === true) return;
+
+    trackingSheet.getRange(rowNumber, TRACKING_DELETED_COLUMN).setValue(true);
+    removeTrackingRowFromRollup(entry);
+    voided++;
+    log('INFO', `Voided ${SHEET_NAMES.TRACKING} row ${rowNumber} (${entry[2]} on ${getDayKey(entry[0])}).`);
+  });
+  return voided;
+}
+
+/**
+ * Voids the rows an edited form response logged for entries it no longer includes,
+ * e.g. a checklist row that was cleared.
+ * @param {string} responseId The form response ID.
+ * @param {Array<string>} keptEntryKeys The entries the edited response still logs, as
+ *     "<entry response ID>|<HabitID>" keys.
+ * @return {number} The number of rows voided.
+ */
+function voidResponseRowsExcept(responseId, keptEntryKeys) {
+  const trackingSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.TRACKING);
+  if (!responseId) return 0;
+
+  const rowNumbers = getResponseTrackingRows(trackingSheet, responseId)
+    .filter(entry => keptEntryKeys.indexOf(`${entry.row[TRACKING_RESPONSE_ID_COLUMN - 1]}|${entry.row[1]}`) === -1) // Column B is HabitID
+    .map(entry => entry.rowNumber);
+  return voidTrackingRows(trackingSheet, rowNumbers);
+}
+
+/**
+ * Menu command: voids the Daily_Tracking rows in the current selection and refreshes the dashboard.
+ */
+function voidSelectedEntriesFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const sheet = SpreadsheetApp.getActiveSheet();
+    if (sheet.getName() !== SHEET_NAMES.TRACKING) {
+      ui.alert('Void Entries', `Select the rows to void in the ${SHEET_NAMES.TRACKING} sheet first.`, ui.ButtonSet.OK);
+      return;
+    }
+
+    const rowNumbers = [];
+    sheet.getActiveRangeList().getRanges().forEach(range => {
+      for (let row = Math.max(2, range.getRow()); row <= range.getLastRow(); row++) {
+        if (rowNumbers.indexOf(row) === -1) rowNumbers.push(row);
+      }
+    });
+    if (rowNumbers.length === 0) {
+      ui.alert('Void Entries', 'The selection has no entries (the header row cannot be voided).', ui.ButtonSet.OK);
+      return;
+    }
+
+    const confirm = ui.alert('Void Entries', `Void the entries on ${rowNumbers.length} selected rows? They stay in ${SHEET_NAMES.TRACKING} but no longer count anywhere.`, ui.ButtonSet.YES_NO);
+    if (confirm !== ui.Button.YES) return;
+
+    const voided = voidTrackingRows(sheet, rowNumbers);
+    if (voided > 0) {
+      updateDashboard();
+    }
+    ui.alert('Void Entries', `Voided ${voided} entries. To restore one, clear its Deleted cell and run Rebuild Daily Rollup.`, ui.ButtonSet.OK);
+
+  } catch (error) {
+    log('ERROR', 'Failed to void entries:', error.message, error.stack);
+    ui.alert('Void Failed', `Error: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
@@ -34,7 +34,9 @@ function getForm() {
 
 /**
  * Updates the 'Habit Selection' dropdown in the Google Form
- * with the list of 'Active' habits from the Habits_Main sheet.
+ * with the list of 'Active' habits from the Habits_Main sheet,
+ * ordered by category (see sortHabitsByCategory). Each choice carries the
+ * habit's ID, e.g. "Meditate [H001]", so renames don't break submissions.
  */
 function updateHabitFormDropdown() {
   log('INFO', 'Updating habit form dropdown...');
@@ -52,8 +54,8 @@ function updateHabitFormDropdown() {
     return;
   }
   
-  const habitsData = habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, 2).getValues();
-  const activeHabits = habitsData.filter(row => row[0]); // Simple filter for non-empty rows
+  const habitsData = habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, 16).getValues(); // Through column P (Category)
+  const activeHabits = sortHabitsByCategory(habitsData.filter(row => row[0] && row[6] !== 'Completed')); // Completed habits (column G) leave the form
   
   if (activeHabits.length === 0) {
     log('WARN', 'No active habits found to add to the form dropdown.');
@@ -76,17 +78,252 @@ function updateHabitFormDropdown() {
       return;
     }
     
-    const habitChoices = activeHabits.map(habit => habit[1]);
+    const habitChoices = activeHabits.map(habit => formatHabitChoice(habit[0], habit[1]));
     const habitList = habitDropdownItem.asListItem();
     habitList.setChoices(habitChoices.map(choice => habitList.createChoice(choice)));
     
     log('INFO', 'Habit form dropdown updated successfully with', habitChoices.length, 'items.');
+    
+    // Keep the optional backdating, excused-day, amount and person questions in place alongside the dropdown
+    ensureDateCompletedQuestion(form);
+    ensureExcusedStatusQuestion(form);
+    ensureAmountQuestion(form);
+    ensureWhoAreYouQuestion(form);
+    ensureChecklistQuestion(form, habitChoices);
 
   } catch (error) {
     log('ERROR', 'Failed to update form dropdown:', error.message);
   }
 }
 
+/**
+ * Ensures the form has the optional 'Date completed' question.
+ * Leaving it blank logs the entry for today; an earlier date backdates it.
+ * @param {Form} form The Google Form object.
+ */
+function ensureDateCompletedQuestion(form) {
+  const hasDateItem = form.getItems().some(item => item.getTitle() === 'Date completed');
+  if (hasDateItem) {
+    return;
+  }
+  
+  const dateItem = form.addDateItem();
+  dateItem.setTitle('Date completed');
+  dateItem.setHelpText('Leave blank for today. Pick an earlier date to log a day you forgot.');
+  dateItem.setIncludesYear(true);
+  dateItem.setRequired(false);
+  
+  log('INFO', 'Added Date completed question');
+}
+
+/**
+ * Ensures the Completion Status question offers 'Excused' and that the optional
+ * 'Excused reason' question exists. Excused days neither count nor break streaks.
+ * @param {Form} form The Google Form object.
+ */
+function ensureExcusedStatusQuestion(form) {
+  const items = form.getItems();
+  
+  const statusItem = items.find(item => item.getTitle() === 'Completion Status');
+  if (statusItem) {
+    const statusList = statusItem.asListItem();
+    const choiceValues = statusList.getChoices().map(choice => choice.getValue());
+    if (choiceValues.indexOf('Excused') === -1) {
+      choiceValues.push('Excused');
+      statusList.setChoices(choiceValues.map(value => statusList.createChoice(value)));
+      log('INFO', 'Added Excused option to Completion Status question');
+    }
+  }
+  
+  const hasReasonItem = items.some(item => item.getTitle() === 'Excused reason');
+  if (!hasReasonItem) {
+    const reasonItem = form.addTextItem();
+    reasonItem.setTitle('Excused reason');
+    reasonItem.setHelpText('Optional. Why this day is excused, e.g. sick, travel or rest day.');
+    reasonItem.setRequired(false);
+    log('INFO', 'Added Excused reason question');
+  }
+}
+
+/**
+ * Ensures the form has the optional numeric 'Amount' question used by quantitative
+ * habits (those with a TargetAmount in Habits_Main), e.g. pages read or km run.
+ * @param {Form} form The Google Form object.
+ */
+function ensureAmountQuestion(form) {
+  const hasAmountItem = form.getItems().some(item => item.getTitle() === 'Amount');
+  if (hasAmountItem) {
+    return;
+  }
+  
+  const amountItem = form.addTextItem();
+  amountItem.setTitle('Amount');
+  amountItem.setHelpText('For habits measured in units (glasses, pages, km): how much did you do? Leave blank otherwise.');
+  amountItem.setValidation(FormApp.createTextValidation()
+    .setHelpText('Please enter a number, e.g. 8 or 5.5')
+    .requireNumberGreaterThanOrEqualTo(0)
+    .build());
+  amountItem.setRequired(false);
+  
+  log('INFO', 'Added Amount question');
+}
+
+/**
+ * Ensures the form's optional 'Who are you?' question lists everyone on the People sheet.
+ * The question is only added once the People sheet has someone on it; submissions
+ * without an answer are attributed by respondent email instead (see resolveSubmittingPerson).
+ * @param {Form} form The Google Form object.
+ */
+function ensureWhoAreYouQuestion(form) {
+  const people = loadPeople();
+  if (people.length === 0) {
+    return;
+  }
+  
+  let personItem = form.getItems().find(item => item.getTitle() === 'Who are you?');
+  if (!personItem) {
+    personItem = form.addListItem();
+    personItem.setTitle('Who are you?');
+    personItem.setHelpText('Optional if the form collects your email address.');
+    personItem.setRequired(false);
+    log('INFO', 'Added Who are you? question');
+  }
+  
+  const personList = personItem.asListItem();
+  personList.setChoices(people.map(person => personList.createChoice(person.name)));
+}
+
+/**
+ * Title of the grid question that logs several habits in one submission.
+ */
+const CHECKLIST_QUESTION_TITLE = 'Daily Checklist';
+
+/**
+ * Title of the optional question holding per-habit comments for the checklist.
+ */
+const CHECKLIST_COMMENTS_TITLE = 'Checklist comments';
+
+/**
+ * Count columns of the checklist grid. 0 is there for limit habits.
+ */
+const CHECKLIST_COUNT_COLUMNS = ['0', '1', '2', '3', '4', '5+'];
+
+/**
+ * Ensures the form has the 'Daily Checklist' grid, with one row per active habit and
+ * a column per count, plus the optional 'Checklist comments' question. Each row that
+ * is filled in becomes its own Daily_Tracking entry (see splitSubmissionIntoEntries).
+ * Since a submission may use the checklist alone, the single-habit dropdown and count
+ * questions are made optional.
+ * @param {Form} form The Google Form object.
+ * @param {Array<string>} habitChoices The active habits, as ID-tagged choices.
+ */
+function ensureChecklistQuestion(form, habitChoices) {
+  const items = form.getItems();
+  
+  let checklistItem = items.find(item => item.getTitle() === CHECKLIST_QUESTION_TITLE);
+  if (!checklistItem) {
+    checklistItem = form.addGridItem();
+    checklistItem.setTitle(CHECKLIST_QUESTION_TITLE);
+    checklistItem.setHelpText('Log several habits at once: pick how many times you did each one today. Leave rows blank for habits you are not logging.');
+    checklistItem.setRequired(false);
+    log('INFO', 'Added Daily Checklist question');
+  }
+  checklistItem.asGridItem().setRows(habitChoices).setColumns(CHECKLIST_COUNT_COLUMNS);
+  
+  const hasCommentsItem = items.some(item => item.getTitle() === CHECKLIST_COMMENTS_TITLE);
+  if (!hasCommentsItem) {
+    const commentsItem = form.addParagraphTextItem();
+    commentsItem.setTitle(CHECKLIST_COMMENTS_TITLE);
+    commentsItem.setHelpText('Optional. One line per habit, e.g. "Meditate: felt calm". Lines that don\'t start with a habit name apply to every habit in the checklist.');
+    commentsItem.setRequired(false);
+    log('INFO', 'Added Checklist comments question');
+  }
+  
+  // Someone who only fills in the checklist shouldn't have to answer the single-habit questions
+  items.filter(item => ['Habit Selection', 'How many times completed today?', 'Completion Status'].indexOf(item.getTitle()) !== -1)
+    .forEach(item => item.asListItem().setRequired(false));
+}
+
+/**
+ * Gets a form submission's answers as named values, plus its 'Response ID' and 'Edit URL'
+ * so an edited response can update the rows it logged before (see EntryEdits.js).
+ * Works with both form triggers (e.response) and spreadsheet triggers (e.namedValues).
+ * @param {Object} e The onFormSubmit event object.
+ * @return {Object} Named values in the shape of a spreadsheet form submission.
+ */
+function getFormSubmissionValues(e) {
+  let response = e.response;
+  let namedValues = e.namedValues;
+
+  if (!response) {
+    // Spreadsheet triggers carry no response; find the one with this timestamp and these answers
+    const recentResponses = getForm().getResponses(new Date(Date.now() - 5 * 60 * 1000));
+    response = findResponseForNamedValues(recentResponses, namedValues);
+  }
+
+  if (!namedValues) {
+    namedValues = getResponseNamedValues(response);
+  }
+
+  if (response) {
+    namedValues['Response ID'] = [response.getId()];
+    namedValues['Edit URL'] = [response.getEditResponseUrl()];
+  } else {
+    log('WARN', 'Could not match this submission to exactly one form response; edits to it will add new rows.');
+  }
+  return namedValues;
+}
+
+/**
+ * Converts a form response to named values in the shape of a spreadsheet form submission.
+ * @param {GoogleAppsScript.Forms.FormResponse} response The form response.
+ * @return {Object} The named values, including 'Email Address'.
+ */
+function getResponseNamedValues(response) {
+  const namedValues = {};
+  response.getItemResponses().forEach(itemResponse => {
+    const item = itemResponse.getItem();
+    const answer = itemResponse.getResponse();
+    if (item.getType() === FormApp.ItemType.GRID) {
+      // Grid answers come one per row, like "Daily Checklist [Meditate [H001]]"
+      item.asGridItem().getRows().forEach((row, index) => {
+        namedValues[`${item.getTitle()} [${row}]`] = [answer[index] || ''];
+      });
+    } else {
+      namedValues[item.getTitle()] = [Array.isArray(answer) ? answer.join(', ') : String(answer)];
+    }
+  });
+  namedValues['Email Address'] = [response.getRespondentEmail()];
+  return namedValues;
+}
+
+/**
+ * Finds the form response a spreadsheet trigger's named values came from. Several people
+ * may submit within minutes, so a response only matches when its timestamp (to the second,
+ * when the sheet's Timestamp can be read) and every answer agree, and only one does.
+ * @param {Array<GoogleAppsScript.Forms.FormResponse>} responses The recent form responses.
+ * @param {Object} namedValues The named values from the spreadsheet trigger.
+ * @return {?GoogleAppsScript.Forms.FormResponse} The response, or null if none or several match.
+ */
+function findResponseForNamedValues(responses, namedValues) {
+  const submittedAt = new Date(getNamedValue(namedValues, 'Timestamp')).getTime();
+  const normalize = value => String(value || '').trim();
+
+  const matches = responses.filter(response => {
+    if (!isNaN(submittedAt) && Math.abs(response.getTimestamp().getTime() - submittedAt) >= 1000) return false;
+
+    const responseValues = getResponseNamedValues(response);
+    return Object.keys(responseValues).every(title => {
+      const answer = normalize(getNamedValue(responseValues, title));
+      const value = normalize(getNamedValue(namedValues, title));
+      if (title === 'Email Address' && (!answer || !value)) return true; // Only compared when collected
+      // Date answers are 'yyyy-MM-dd' in the response but formatted by locale in the sheet
+      return answer === value || (/^\d{4}-\d{2}-\d{2}$/.test(answer) && parseDayKey(value) === answer);
+    });
+  });
+  return matches.length === 1 ? matches[0] : null;
+}
+
 /**
  * Sets up a form submit trigger and returns the form URL.
  * This is a helper function for initial setup.
@@ -143,7 +380,7 @@ function updateFormForFrequencyTracking() {
     });
     
     if (successItem) {
-      const choices = ['Completed', 'Missed'];
+      const choices = ['Completed', 'Missed', 'Excused'];
       const choiceItems = choices.map(choice => successItem.asListItem().createChoice(choice));
       successItem.asListItem().setChoices(choiceItems);
       successItem.setTitle('Completion Status');
@@ -173,6 +410,10 @@ function updateFormForFrequencyTracking() {
       log('INFO', 'Added completion count question');
     }
     
+    ensureDateCompletedQuestion(form);
+    ensureExcusedStatusQuestion(form);
+    ensureAmountQuestion(form);
+    
     log('INFO', 'Form updated successfully for frequency tracking');
     
   } catch (error) {
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Keeps habit identity stable across renames.
+ * Form choices carry the HabitID ("Meditate [H001]"), so submissions resolve by ID even
+ * after a habit is renamed. Renames made in Habits_Main are recorded in Habit_Aliases,
+ * so submissions that still use an old name (e.g. from a stale form) resolve too.
+ */
+
+/**
+ * Header row of the Habit_Aliases sheet.
+ */
+const HABIT_ALIASES_HEADERS = ['RenamedAt', 'HabitID', 'OldName', 'NewName'];
+
+/**
+ * Gets the Habit_Aliases sheet, creating it with headers if it does not exist.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The habit aliases sheet.
+ */
+function getHabitAliasesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let aliasesSheet = ss.getSheetByName(SHEET_NAMES.HABIT_ALIASES);
+  if (!aliasesSheet) {
+    aliasesSheet = ss.insertSheet(SHEET_NAMES.HABIT_ALIASES);
+    aliasesSheet.getRange(1, 1, 1, HABIT_ALIASES_HEADERS.length).setValues([HABIT_ALIASES_HEADERS]).setFontWeight('bold');
+    aliasesSheet.setFrozenRows(1);
+    log('INFO', `Created new sheet: ${SHEET_NAMES.HABIT_ALIASES}`);
+  }
+  return aliasesSheet;
+}
+
+/**
+ * Appends a rename to the Habit_Aliases sheet.
+ * @param {string} habitId The habit ID.
+ * @param {string} oldName The previous habit name.
+ * @param {string} newName The new habit name.
+ */
+function recordHabitRename(habitId, oldName, newName) {
+  if (!habitId || !oldName || oldName === newName) return;
+
+  getHabitAliasesSheet().appendRow([new Date(), habitId, oldName, newName || '']);
+  log('INFO', `Habit ${habitId} renamed from '${oldName}' to '${newName}'`);
+}
+
+/**
+ * Records HabitName edits made directly in Habits_Main. Called from onEdit.
+ * Only single-cell edits carry the old name, so pasted ranges are not recorded.
+ * @param {Object} e The onEdit event object.
+ */
+function captureHabitRenameEdit(e) {
+  const range = e.range;
+  const nameColumn = 2; // Column B is HabitName
+
+  if (range.getColumn() !== nameColumn || range.getNumColumns() !== 1 || range.getNumRows() !== 1 || range.getRow() < 2) return;
+  if (!e.oldValue) return; // A new habit, not a rename
+
+  const habitId = range.getSheet().getRange(range.getRow(), 1).getValue();
+  const newName = range.getValue();
+  if (!habitId || e.oldValue === newName) return;
+
+  recordHabitRename(habitId, e.oldValue, newName);
+  setFormUpdateButtonStatus('pending'); // The form still lists the old name
+}
+
+/**
+ * Loads every recorded old habit name.
+ * @return {Object<string, string>} HabitIDs by lower-cased old name; later renames win.
+ */
+function loadHabitAliases() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const aliasesSheet = ss.getSheetByName(SHEET_NAMES.HABIT_ALIASES);
+  const aliases = {};
+  if (!aliasesSheet || aliasesSheet.getLastRow() < 2) return aliases;
+
+  aliasesSheet.getRange(2, 1, aliasesSheet.getLastRow() - 1, HABIT_ALIASES_HEADERS.length).getValues()
+    .filter(row => row[1] && row[2])
+    .forEach(row => aliases[String(row[2]).trim().toLowerCase()] = row[1]);
+  return aliases;
+}
+
+/**
+ * Formats a habit as a form choice that carries its ID, e.g. "Meditate [H001]".
+ * @param {string} habitId The habit ID.
+ * @param {string} habitName The habit name.
+ * @return {string} The form choice.
+ */
+function formatHabitChoice(habitId, habitName) {
+  return `${habitName} [${habitId}]`;
+}
+
+/**
+ * Splits a form choice into its name and HabitID.
+ * @param {string} choice The submitted choice, with or without an ID tag.
+ * @return {{habitId: ?string, habitName: string}} The parts; habitId is null for bare names.
+ */
+function parseHabitChoice(choice) {
+  const text = String(choice || '').trim();
+  const match = text.match(/^(.*?)\s*\[([^\[\]]+)\]$/);
+  return match ? { habitId: match[2].trim(), habitName: match[1] } : { habitId: null, habitName: text };
+}
+
+/**
+ * Finds the Habits_Main row a submitted habit refers to: by its ID tag, then by its
+ * current name, then by a recorded old name.
+ * @param {Array<Array>} habitData Rows from Habits_Main.
+ * @param {string} choice The submitted habit choice.
+ * @param {?string=} person Who submitted it; when several people have a habit with
+ *     the same name, theirs is preferred.
+ * @return {Array|undefined} The habit row, or undefined if nothing matches.
+ */
+function findHabitRowForChoice(habitData, choice, person) {
+  const parsed = parseHabitChoice(choice);
+  if (parsed.habitId) {
+    const byId = habitData.find(row => row[0] === parsed.habitId);
+    if (byId) return byId;
+  }
+
+  // Names may contain brackets of their own, so also try the choice as a whole
+  const names = [parsed.habitName, String(choice || '').trim()];
+  const byName = habitData.filter(row => names.indexOf(row[1]) !== -1);
+  if (byName.length > 0) {
+    return (person && byName.find(row => isSamePerson(getHabitOwner(row), person))) || byName[0];
+  }
+
+  const aliases = loadHabitAliases();
+  const aliasId = aliases[names[0].toLowerCase()] || aliases[names[1].toLowerCase()];
+  return aliasId ? habitData.find(row => row[0] === aliasId) : undefined;
+}
+
+/**
+ * Menu command: rewrites HabitName (column C) across Daily_Tracking so every row
+ * shows the current name of its HabitID.
+ */
+function syncHabitNamesFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const updated = syncHabitNamesInTracking();
+    ui.alert('Sync Habit Names', updated > 0 ?
+      `Updated the habit name on ${updated} Daily_Tracking rows.` :
+      'All Daily_Tracking rows already match Habits_Main.', ui.ButtonSet.OK);
+  } catch (error) {
+    log('ERROR', 'Failed to sync habit names:', error.message, error.stack);
+    ui.alert('Sync Failed', `Error: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Rewrites HabitName (column C) across Daily_Tracking to match Habits_Main by HabitID.
+ * Rows whose HabitID is no longer in Habits_Main are left as they are.
+ * @return {number} The number of rows updated.
+ */
+function syncHabitNamesInTracking() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const habitsSheet = ss.getSheetByName(SHEET_NAMES.HABITS);
+  const trackingSheet = ss.getSheetByName(SHEET_NAMES.TRACKING);
+  if (!habitsSheet || habitsSheet.getLastRow() < 2 || !trackingSheet || trackingSheet.getLastRow() < 2) return 0;
+
+  const namesById = {};
+  habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, 2).getValues()
+    .filter(row => row[0])
+    .forEach(row => namesById[row[0]] = row[1]);
+
+  const rows = trackingSheet.getRange(2, 2, trackingSheet.getLastRow() - 1, 2).getValues(); // Columns B (HabitID) and C (HabitName)
+  let updated = 0;
+  rows.forEach(row => {
+    const currentName = namesById[row[0]];
+    if (currentName !== undefined && row[1] !== currentName) {
+      row[1] = currentName;
+      updated++;
+    }
+  });
+
+  if (updated > 0) {
+    trackingSheet.getRange(2, 3, rows.length, 1).setValues(rows.map(row => [row[1]]));
+  }
+  log('INFO', `Synced habit names in ${SHEET_NAMES.TRACKING}: ${updated} rows updated.`);
+  return updated;
+}
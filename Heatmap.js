@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Year-long, GitHub-style calendar heatmap on the Heatmap sheet.
+ * One column per week and one row per weekday; each cell is shaded by the day's
+ * completions (or logged amount) relative to the habit's target. Can be built for one
+ * habit or for all habits together (the average of each habit's ratio for that day).
+ */
+
+/**
+ * Cell colours from no completions up to the target met.
+ */
+const HEATMAP_COLORS = ['#ebedf0', '#c6e48b', '#7bc96f', '#239a3b', '#196127'];
+
+/**
+ * Colours for days that are not graded.
+ */
+const HEATMAP_PAUSED_COLOR = '#d9d9d9';
+const HEATMAP_EXCUSED_COLOR = '#cfe2f3';
+const HEATMAP_OUTSIDE_COLOR = '#ffffff';
+
+/**
+ * Menu command: asks for a year and a habit, then regenerates the Heatmap sheet.
+ */
+function generateHeatmapFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const rollupIndex = loadRollupIndex();
+    const years = getTrackedYears(rollupIndex);
+    if (years.length === 0) {
+      ui.alert('Heatmap', 'There are no entries in Daily_Tracking yet.', ui.ButtonSet.OK);
+      return;
+    }
+
+    const yearInput = promptForText(ui, 'Heatmap', `Which year? Years with entries: ${years.join(', ')}`);
+    if (yearInput === null) return;
+    const year = yearInput.trim() || years[years.length - 1];
+    if (years.indexOf(year) === -1) {
+      ui.alert('Heatmap', `There are no entries for '${year}'. Years with entries: ${years.join(', ')}`, ui.ButtonSet.OK);
+      return;
+    }
+
+    const habitInput = promptForText(ui, 'Heatmap', 'Enter a HabitID or habit name, or leave blank for all habits together:');
+    if (habitInput === null) return;
+
+    let habits = [];
+    if (habitInput.trim()) {
+      habits = resolveHabitsFromInput(habitInput).slice(0, 1);
+      if (habits.length === 0) {
+        ui.alert('Heatmap', `No habit matches '${habitInput}'.`, ui.ButtonSet.OK);
+        return;
+      }
+    }
+
+    generateHeatmap(year, habits.length > 0 ? habits[0][0] : null, rollupIndex);
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    ss.setActiveSheet(ss.getSheetByName(SHEET_NAMES.HEATMAP));
+
+  } catch (error) {
+    log('ERROR', 'Failed to generate heatmap:', error.message, error.stack);
+    ui.alert('Heatmap Failed', `Error: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Gets the years that have at least one entry.
+ * @param {Object} rollupIndex The index from loadRollupIndex
+ * @return {Array<string>} The years in ascending order, e.g. ['2024', '2025']
+ */
+function getTrackedYears(rollupIndex) {
+  const years = new Set();
+  Object.keys(rollupIndex).forEach(habitId => {
+    Object.keys(rollupIndex[habitId]).forEach(dayKey => years.add(dayKey.substring(0, 4)));
+  });
+  return Array.from(years).sort();
+}
+
+/**
+ * Regenerates the Heatmap sheet for a year.
+ * @param {string} year The year, e.g. '2025'
+ * @param {?string} habitId The habit to show, or null for all habits together
+ * @param {Object=} rollupIndex The index from loadRollupIndex (loaded if omitted)
+ */
+function generateHeatmap(year, habitId, rollupIndex) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const habitsSheet = ss.getSheetByName(SHEET_NAMES.HABITS);
+  const config = getConfig();
+  rollupIndex = rollupIndex || loadRollupIndex();
+  const pausedIntervalsByHabit = loadPausedIntervals();
+
+  const habitsData = habitsSheet.getLastRow() > 1 ?
+    habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, habitsSheet.getLastColumn()).getValues().filter(row => row[0] && row[2]) : [];
+  const habits = habitId ? habitsData.filter(row => row[0] === habitId) : habitsData;
+  if (habits.length === 0) {
+    throw new Error(habitId ? `Habit ${habitId} not found in ${SHEET_NAMES.HABITS}` : 'No habits found');
+  }
+
+  let heatmapSheet = ss.getSheetByName(SHEET_NAMES.HEATMAP);
+  if (!heatmapSheet) {
+    heatmapSheet = ss.insertSheet(SHEET_NAMES.HEATMAP);
+    log('INFO', `Created new sheet: ${SHEET_NAMES.HEATMAP}`);
+  }
+  heatmapSheet.clear();
+  heatmapSheet.clearNotes();
+
+  const firstKey = `${year}-01-01`;
+  const lastKey = `${year}-12-31`;
+  const gridStartKey = getWeekStartKey(firstKey, config.weekStartsOn);
+  const numWeeks = Math.floor(getDaysBetweenKeys(gridStartKey, lastKey) / 7) + 1;
+  const todayKey = getTodayKey();
+  const schedules = {};
+  habits.forEach(habit => schedules[habit[0]] = getHabitSchedule(habit, config.weekStartsOn));
+
+  // Grid cells: rows are weekdays, columns are weeks
+  const backgrounds = [];
+  const notes = [];
+  for (let weekday = 0; weekday < 7; weekday++) {
+    backgrounds.push([]);
+    notes.push([]);
+    for (let week = 0; week < numWeeks; week++) {
+      const dayKey = addDaysToKey(gridStartKey, week * 7 + weekday);
+      if (dayKey < firstKey || dayKey > lastKey || dayKey > todayKey) {
+        backgrounds[weekday].push(HEATMAP_OUTSIDE_COLOR);
+        notes[weekday].push(dayKey > todayKey && dayKey <= lastKey ? dayKey : '');
+        continue;
+      }
+      const cell = getHeatmapCell(habits, schedules, rollupIndex, pausedIntervalsByHabit, dayKey);
+      backgrounds[weekday].push(cell.color);
+      notes[weekday].push(`${dayKey}: ${cell.label}`);
+    }
+  }
+
+  // Month labels go above the first week that contains the 1st of the month
+  const monthRow = new Array(numWeeks).fill('');
+  for (let month = 1; month <= 12; month++) {
+    const monthKey = `${year}-${String(month).padStart(2, '0')}-01`;
+    const week = Math.floor(getDaysBetweenKeys(gridStartKey, monthKey) / 7);
+    monthRow[week] = Utilities.formatDate(dayKeyToUtcDate(monthKey), 'UTC', 'MMM');
+  }
+
+  const firstWeekday = config.weekStartsOn === 'Sunday' ? 0 : 1;
+  const weekdayLabels = [];
+  for (let i = 0; i < 7; i++) {
+    weekdayLabels.push([['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][(firstWeekday + i) % 7]]);
+  }
+
+  const title = habitId ? `${habits[0][1]} (${habitId})` : 'All Habits';
+  heatmapSheet.getRange(1, 1).setValue(`${title} — ${year}`).setFontWeight('bold').setFontSize(12);
+  heatmapSheet.getRange(2, 2, 1, numWeeks).setValues([monthRow]).setFontSize(8);
+  heatmapSheet.getRange(3, 1, 7, 1).setValues(weekdayLabels).setFontSize(8);
+
+  const gridRange = heatmapSheet.getRange(3, 2, 7, numWeeks);
+  gridRange.setBackgrounds(backgrounds).setNotes(notes);
+  gridRange.setBorder(true, true, true, true, true, true, '#ffffff', SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+
+  heatmapSheet.setColumnWidth(1, 40);
+  heatmapSheet.setColumnWidths(2, numWeeks, 16);
+  heatmapSheet.setRowHeights(3, 7, 16);
+
+  // Legend
+  const legendRow = 11;
+  const legend = [['Less', ...HEATMAP_COLORS.map(() => ''), 'More', '', '', 'Paused', '', '', 'Excused']];
+  heatmapSheet.getRange(legendRow, 2, 1, legend[0].length).setValues(legend).setFontSize(8);
+  heatmapSheet.getRange(legendRow, 3, 1, HEATMAP_COLORS.length).setBackgrounds([HEATMAP_COLORS]);
+  heatmapSheet.getRange(legendRow, 3 + HEATMAP_COLORS.length + 2).setBackground(HEATMAP_PAUSED_COLOR);
+  heatmapSheet.getRange(legendRow, 3 + HEATMAP_COLORS.length + 5).setBackground(HEATMAP_EXCUSED_COLOR);
+
+  log('INFO', `Heatmap generated for ${title}, ${year}.`);
+}
+
+/**
+ * Works out the colour and note text of one heatmap day.
+ * Each habit scores its day with getHeatmapRatio; with several habits the scores of
+ * those that were running, due and not paused are averaged.
+ * @param {Array<Array>} habits The habit rows to include
+ * @param {Object<string, Object>} schedules Each habit's schedule from getHabitSchedule, by HabitID
+ * @param {Object} rollupIndex The index from loadRollupIndex
+ * @param {Object} pausedIntervalsByHabit The intervals from loadPausedIntervals
+ * @param {string} dayKey The day
+ * @return {{color: string, label: string}} The cell colour and note text
+ */
+function getHeatmapCell(habits, schedules, rollupIndex, pausedIntervalsByHabit, dayKey) {
+  const ratios = [];
+  let progress = 0;
+  let target = 0;
+  let paused = 0;
+  let excused = 0;
+  let offDays = 0;
+
+  habits.forEach(habit => {
+    const startKey = getCalendarDayKey(habit[2]);
+    const endKey = habit[3] ? getCalendarDayKey(habit[3]) : null;
+    if (dayKey < startKey || (endKey && dayKey > endKey)) return;
+
+    if (isDayPaused(pausedIntervalsByHabit[habit[0]], dayKey)) {
+      paused++;
+      return;
+    }
+
+    const habitDays = rollupIndex[habit[0]] || {};
+    const schedule = schedules[habit[0]];
+    const dayProgress = getHabitProgressForDate(habitDays, dayKey, schedule);
+    const habitTarget = getTargetOnDate(schedule, dayKey);
+    if (!isDayDue(schedule, dayKey) && !habitDays[dayKey]) {
+      offDays++;
+      return;
+    }
+    if (schedule.direction === 'limit' && !hasHabitDataOnDate(habitDays, dayKey, schedule)) {
+      return; // Unlogged days of a non-zero limit habit aren't graded
+    }
+    if (wasHabitExcusedOnDate(habitDays, dayKey) && !wasHabitSuccessfulOnDate(habitDays, dayKey, schedule)) {
+      excused++;
+      return;
+    }
+
+    progress += dayProgress;
+    target += habitTarget;
+    ratios.push(getHeatmapRatio(habitDays, schedule, dayKey, dayProgress));
+  });
+
+  if (ratios.length === 0) {
+    if (paused > 0) return { color: HEATMAP_PAUSED_COLOR, label: 'paused' };
+    if (excused > 0) return { color: HEATMAP_EXCUSED_COLOR, label: 'excused' };
+    if (offDays > 0) return { color: HEATMAP_OUTSIDE_COLOR, label: 'off day' };
+    return { color: HEATMAP_OUTSIDE_COLOR, label: 'not tracked' };
+  }
+
+  const ratio = ratios.reduce((sum, value) => sum + value, 0) / ratios.length;
+  let level;
+  if (ratio === 0) {
+    level = 0;
+  } else if (ratio >= 1) {
+    level = 4;
+  } else {
+    level = Math.min(3, Math.ceil(ratio * 3));
+  }
+
+  return { color: HEATMAP_COLORS[level], label: `${formatAmount(progress)}/${formatAmount(target)}` };
+}
+
+/**
+ * Scores one habit's day from 0 to 1 for the heatmap.
+ * Build habits score progress / target (capped at 1, and 1 without a target). Limit habits score 1 while within
+ * the limit and shrink the further it is exceeded.
+ * @param {Object} habitDays The habit's days from loadRollupIndex
+ * @param {Object} schedule The habit's schedule from getHabitSchedule
+ * @param {string} dayKey The day
+ * @param {number} dayProgress The day's completions or amount
+ * @return {number} The score
+ */
+function getHeatmapRatio(habitDays, schedule, dayKey, dayProgress) {
+  const target = getTargetOnDate(schedule, dayKey);
+  if (schedule.direction !== 'limit') {
+    return target > 0 ? Math.min(1, dayProgress / target) : 1;
+  }
+  if (wasHabitSuccessfulOnDate(habitDays, dayKey, schedule)) return 1;
+  return target > 0 ? target / dayProgress : 0;
+}
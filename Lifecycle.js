@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Habit lifecycle: completes habits whose EndDate has passed.
+ * A daily time-driven job marks expired habits Completed, takes them out of the form,
+ * archives their final results in Habit_Archive and emails a summary to each owner's
+ * accountability list.
+ */
+
+/**
+ * Header row of the Habit_Archive sheet.
+ */
+const HABIT_ARCHIVE_HEADERS = [
+  'ArchivedAt', 'HabitID', 'HabitName', 'Owner', 'Category', 'StartDate', 'EndDate', 'Schedule', 'Target',
+  'TotalCompletions', 'TotalAmount', 'FinalSuccessRate', 'LongestStreak', 'StreakUnit'
+];
+
+/**
+ * Hour of the day (spreadsheet timezone) the daily lifecycle job runs.
+ */
+const LIFECYCLE_TRIGGER_HOUR = 1;
+
+/**
+ * Gets the Habit_Archive sheet, creating it with headers if it does not exist.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The habit archive sheet.
+ */
+function getHabitArchiveSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let archiveSheet = ss.getSheetByName(SHEET_NAMES.HABIT_ARCHIVE);
+  if (!archiveSheet) {
+    archiveSheet = ss.insertSheet(SHEET_NAMES.HABIT_ARCHIVE);
+    archiveSheet.getRange(1, 1, 1, HABIT_ARCHIVE_HEADERS.length).setValues([HABIT_ARCHIVE_HEADERS]).setFontWeight('bold');
+    archiveSheet.getRange(2, 6, archiveSheet.getMaxRows() - 1, 2).setNumberFormat('@'); // StartDate and EndDate are day keys
+    archiveSheet.setFrozenRows(1);
+    log('INFO', `Created new sheet: ${SHEET_NAMES.HABIT_ARCHIVE}`);
+  }
+  return archiveSheet;
+}
+
+/**
+ * Sets up the daily time-driven trigger for completeExpiredHabits.
+ * Any existing trigger for it is replaced, so running this twice is safe.
+ */
+function setupLifecycleTrigger() {
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'completeExpiredHabits') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+
+  ScriptApp.newTrigger('completeExpiredHabits')
+    .timeBased()
+    .everyDays(1)
+    .atHour(LIFECYCLE_TRIGGER_HOUR)
+    .create();
+
+  log('INFO', 'Daily habit lifecycle trigger created successfully.');
+}
+
+/**
+ * Daily job: completes every habit whose EndDate is before today.
+ * Each one is set to Completed (recorded in Status_History), archived with its final
+ * results, and announced to its owner's accountability list; the form and dashboard are then refreshed.
+ */
+function completeExpiredHabits() {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const habitsSheet = ss.getSheetByName(SHEET_NAMES.HABITS);
+    if (!habitsSheet || habitsSheet.getLastRow() < 2) return;
+
+    const todayKey = getTodayKey();
+    const habitsData = habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, habitsSheet.getLastColumn()).getValues();
+    const expired = [];
+    habitsData.forEach((habit, index) => {
+      // Column D is EndDate, column G is Status
+      if (habit[0] && habit[2] && habit[3] && habit[6] !== 'Completed' && getCalendarDayKey(habit[3]) < todayKey) {
+        expired.push({ habit: habit, rowNumber: index + 2 });
+      }
+    });
+
+    if (expired.length === 0) {
+      log('INFO', 'No expired habits to complete.');
+      return;
+    }
+
+    const config = getConfig();
+    const rollupIndex = loadRollupIndex();
+    const pausedIntervalsByHabit = loadPausedIntervals();
+    const archiveSheet = getHabitArchiveSheet();
+    const completed = [];
+
+    expired.forEach(item => {
+      const habit = item.habit;
+      const results = getHabitFinalResults(habit, rollupIndex[habit[0]] || {}, pausedIntervalsByHabit[habit[0]] || [], config);
+
+      habitsSheet.getRange(item.rowNumber, 7).setValue('Completed'); // Column G is Status
+      recordStatusChange(habit[0], habit[1], habit[6], 'Completed');
+      archiveSheet.appendRow([
+        new Date(), results.habitId, results.habitName, results.owner, results.category, results.startKey, results.endKey,
+        results.schedule, results.target, results.totalCompletions, results.totalAmount,
+        results.successRate.toFixed(1) + '%', results.longestStreak, results.streakUnit
+      ]);
+      completed.push(results);
+      log('INFO', `Habit ${habit[0]} (${habit[1]}) ended on ${results.endKey} and was marked Completed.`);
+    });
+
+    updateHabitFormDropdown();
+    updateDashboard();
+    sendHabitCompletedEmail(completed);
+
+  } catch (error) {
+    log('ERROR', 'Failed to complete expired habits:', error.message, error.stack);
+  }
+}
+
+/**
+ * Works out a habit's final results over its whole run, from StartDate to EndDate.
+ * @param {Array} habit The habit row from Habits_Main
+ * @param {Object<string, Object>} habitDays The habit's days from loadRollupIndex
+ * @param {Array<Object>} pausedIntervals The habit's paused intervals from loadPausedIntervals
+ * @param {Object} config The configuration from getConfig
+ * @return {Object} The results: habitId, habitName, owner, category, startKey, endKey, schedule, target,
+ *     totalCompletions, totalAmount, successRate, longestStreak and streakUnit
+ */
+function getHabitFinalResults(habit, habitDays, pausedIntervals, config) {
+  const schedule = getHabitSchedule(habit, config.weekStartsOn);
+  const startKey = getCalendarDayKey(habit[2]);
+  const endKey = getCalendarDayKey(habit[3]);
+
+  let totalCompletions = 0;
+  let totalAmount = 0;
+  Object.keys(habitDays).forEach(dayKey => {
+    if (dayKey >= startKey && dayKey <= endKey) {
+      totalCompletions += habitDays[dayKey].completions;
+      totalAmount += habitDays[dayKey].amount;
+    }
+  });
+
+  const streaks = buildStreakRuns(habitDays, {
+    startKey: startKey,
+    schedule: schedule,
+    pausedIntervals: pausedIntervals,
+    allowance: parseStreakAllowance(habit[10]) // StreakAllowance column (K)
+  });
+
+  return {
+    habitId: habit[0],
+    habitName: habit[1],
+    owner: getHabitOwner(habit),
+    category: getHabitCategory(habit),
+    startKey: startKey,
+    endKey: endKey,
+    schedule: schedule.label,
+    target: formatScheduleTarget(schedule, endKey),
+    totalCompletions: totalCompletions,
+    totalAmount: schedule.measure === 'amount' ? totalAmount : '',
+    unit: schedule.unit,
+    successRate: calculateFrequencyBasedSuccessRate(habitDays, schedule, startKey, endKey, pausedIntervals),
+    longestStreak: streaks.longest.length,
+    streakUnit: getPeriodUnit(schedule)
+  };
+}
+
+/**
+ * Emails a summary of habits that just completed to each owner's accountability list,
+ * in that owner's usual habit tracker thread (see getAccountabilityRecipients).
+ * Skipped in debug mode, and for owners without recipients.
+ * @param {Array<Object>} completed Results from getHabitFinalResults
+ */
+function sendHabitCompletedEmail(completed) {
+  try {
+    const config = getConfig();
+    if (config.debugMode) {
+      log('INFO', 'Debug mode is active. Habit completed email will not be sent.');
+      return;
+    }
+
+    const people = loadPeople();
+    const resultsByOwner = {};
+    completed.forEach(results => {
+      const key = results.owner.toLowerCase();
+      resultsByOwner[key] = resultsByOwner[key] || [];
+      resultsByOwner[key].push(results);
+    });
+
+    Object.keys(resultsByOwner).forEach(key => {
+      const ownerResults = resultsByOwner[key];
+      const owner = ownerResults[0].owner;
+      const recipients = getAccountabilityRecipients(owner, config, people);
+      if (recipients.emails.length === 0) {
+        log('WARN', `No accountability emails configured for ${owner || 'habits without an owner'}. Skipping habit completed email.`);
+        return;
+      }
+
+      const subject = ownerResults.length === 1 ?
+        `Habit completed: ${ownerResults[0].habitName}` :
+        `${ownerResults.length} habits completed`;
+      sendEmailWithThreadManagement(recipients.emails.join(','), subject, generateHabitCompletedHtml(subject, ownerResults), recipients.threadKey);
+      log('INFO', `Habit completed email sent for ${ownerResults.length} habits${owner ? ` of ${owner}` : ''}.`);
+    });
+
+  } catch (error) {
+    log('ERROR', 'Failed to send habit completed email:', error.message, error.stack);
+  }
+}
+
+/**
+ * Generates the HTML body of a habit completed email.
+ * @param {string} subject The email subject, used as the heading
+ * @param {Array<Object>} completed Results from getHabitFinalResults
+ * @return {string} The complete HTML string for the email body
+ */
+function generateHabitCompletedHtml(subject, completed) {
+  const rows = completed.map(results => `
+    <tr>
+      <td>${results.habitName}</td>
+      <td>${results.startKey} → ${results.endKey}</td>
+      <td>${results.schedule} (${results.target})</td>
+      <td>${results.totalAmount !== '' ? `${formatAmount(results.totalAmount)} ${results.unit}` : results.totalCompletions}</td>
+      <td>${results.successRate.toFixed(1)}%</td>
+      <td>${results.longestStreak} ${results.streakUnit}</td>
+    </tr>
+  `).join('');
+
+  return `
+    <html>
+      <body style="font-family: Arial, sans-serif;">
+        <h2 style="color: #4CAF50;">🎉 ${subject}</h2>
+        <p>The following ${completed.length === 1 ? 'habit has' : 'habits have'} reached ${completed.length === 1 ? 'its' : 'their'} end date. Here are the final results:</p>
+        <table style="width: 100%; border-collapse: collapse;" border="1" cellpadding="8">
+          <tr style="background-color: #4CAF50; color: white;">
+            <th>Habit</th><th>Ran</th><th>Schedule</th><th>Total</th><th>Success Rate</th><th>Longest Streak</th>
+          </tr>
+          ${rows}
+        </table>
+        <p style="margin-top: 20px; font-size: 12px; color: #888;">
+          This email was generated automatically by your Habit Tracker system at ${formatTrackerDateTime(new Date())}.
+        </p>
+      </body>
+    </html>
+  `;
+}
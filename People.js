@@ -0,0 +1,140 @@
+/**
+ * @fileoverview People sharing one tracker (a household or team).
+ * Each habit can have an Owner (Habits_Main column Q) naming a person from the People
+ * sheet. Submissions are attributed to a person by the form's "Who are you?" answer or
+ * by the respondent's email; each person gets their own accountability email, sent to
+ * their own partners. Habits without an Owner use the Config AccountabilityEmails list.
+ */
+
+/**
+ * Header row of the People sheet.
+ */
+const PEOPLE_HEADERS = ['Person', 'Email', 'AccountabilityEmails'];
+
+/**
+ * Gets the People sheet, creating it with headers if it does not exist.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The people sheet.
+ */
+function getPeopleSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let peopleSheet = ss.getSheetByName(SHEET_NAMES.PEOPLE);
+  if (!peopleSheet) {
+    peopleSheet = ss.insertSheet(SHEET_NAMES.PEOPLE);
+    peopleSheet.getRange(1, 1, 1, PEOPLE_HEADERS.length).setValues([PEOPLE_HEADERS]).setFontWeight('bold');
+    peopleSheet.getRange('A1').setNote('The name used in the Owner column of Habits_Main and in the form\'s "Who are you?" question');
+    peopleSheet.getRange('B1').setNote('Optional. Submissions from this address are attributed to the person, if the form collects emails');
+    peopleSheet.getRange('C1').setNote('Comma-separated accountability partners for this person. Leave blank to use AccountabilityEmails from Config');
+    peopleSheet.setFrozenRows(1);
+    log('INFO', `Created new sheet: ${SHEET_NAMES.PEOPLE}`);
+  }
+  return peopleSheet;
+}
+
+/**
+ * Loads everyone listed on the People sheet.
+ * @return {Array<{name: string, email: string, accountabilityEmails: Array<string>}>} The people, in sheet order.
+ */
+function loadPeople() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const peopleSheet = ss.getSheetByName(SHEET_NAMES.PEOPLE);
+  if (!peopleSheet || peopleSheet.getLastRow() < 2) return [];
+
+  return peopleSheet.getRange(2, 1, peopleSheet.getLastRow() - 1, PEOPLE_HEADERS.length).getValues()
+    .filter(row => String(row[0]).trim())
+    .map(row => ({
+      name: String(row[0]).trim(),
+      email: String(row[1] || '').trim(),
+      accountabilityEmails: String(row[2] || '').split(',').map(email => email.trim()).filter(email => email)
+    }));
+}
+
+/**
+ * Finds a person by name, ignoring case.
+ * @param {Array<Object>} people The people from loadPeople.
+ * @param {string} name The name to look for.
+ * @return {Object|undefined} The person, or undefined if nobody has that name.
+ */
+function findPersonByName(people, name) {
+  const key = String(name || '').trim().toLowerCase();
+  return key ? people.find(person => person.name.toLowerCase() === key) : undefined;
+}
+
+/**
+ * Gets a habit's owner from its Owner column (Q).
+ * @param {Array} habit The habit row from Habits_Main.
+ * @return {string} The owner's name, or '' for habits without one.
+ */
+function getHabitOwner(habit) {
+  return String(habit[16] || '').trim(); // Column Q is Owner
+}
+
+/**
+ * Checks whether two person names refer to the same person.
+ * @param {string} a The first name.
+ * @param {string} b The second name.
+ * @return {boolean} True if the names match, ignoring case and surrounding spaces.
+ */
+function isSamePerson(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * Sorts habit rows by owner (alphabetically, with habits without an owner last),
+ * keeping the existing order of habits within each owner.
+ * @param {Array<Array>} habits The habit rows from Habits_Main.
+ * @return {Array<Array>} A sorted copy of the rows.
+ */
+function sortHabitsByOwner(habits) {
+  return habits.slice().sort((a, b) => {
+    const ownerA = getHabitOwner(a).toLowerCase();
+    const ownerB = getHabitOwner(b).toLowerCase();
+    if (ownerA === ownerB) return 0;
+    if (!ownerA) return 1;
+    if (!ownerB) return -1;
+    return ownerA.localeCompare(ownerB);
+  });
+}
+
+/**
+ * Works out who made a submission: the "Who are you?" answer if given, otherwise the
+ * person whose Email matches the respondent's email address.
+ * @param {Object} entryData The named values from the form submission.
+ * @param {Array<Object>} people The people from loadPeople.
+ * @return {?string} The person's name, or null if the submission can't be attributed.
+ */
+function resolveSubmittingPerson(entryData, people) {
+  const answer = getNamedValue(entryData, 'Who are you?').trim();
+  if (answer) {
+    const named = findPersonByName(people, answer);
+    return named ? named.name : answer;
+  }
+
+  const respondentEmail = getNamedValue(entryData, 'Email Address').trim().toLowerCase();
+  if (!respondentEmail) return null;
+  const byEmail = people.find(person => person.email.toLowerCase() === respondentEmail);
+  return byEmail ? byEmail.name : null;
+}
+
+/**
+ * Gets who receives the accountability emails for an owner's habits and which Gmail
+ * thread they go in. Each person has their own thread; habits without an owner (and
+ * people without partners of their own) use the Config AccountabilityEmails list.
+ * @param {string} owner The habit owner, or '' for habits without one.
+ * @param {Object} config The configuration from getConfig.
+ * @param {Array<Object>} people The people from loadPeople.
+ * @return {{emails: Array<string>, threadKey: string}} The recipients and the script
+ *     property holding the thread ID.
+ */
+function getAccountabilityRecipients(owner, config, people) {
+  if (!owner) {
+    return { emails: config.accountabilityEmails || [], threadKey: 'habitTrackerThreadId' };
+  }
+
+  const person = findPersonByName(people, owner);
+  const partners = person && person.accountabilityEmails.length > 0 ? person.accountabilityEmails : (config.accountabilityEmails || []);
+  const emails = person && person.email ? [person.email].concat(partners) : partners;
+  return {
+    emails: emails.filter((email, index) => emails.indexOf(email) === index),
+    threadKey: `habitTrackerThreadId_${owner.toLowerCase()}`
+  };
+}
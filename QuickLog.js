@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Mobile quick-log web app.
+ * doGet serves a page with one large button per active habit due today, showing its
+ * progress (e.g. "1/2 today"). A tap logs one completion through processNewEntry; the
+ * last tap can be undone, and the dashboard refreshed on demand.
+ * Add ?person=Name to the URL to show only that person's habits and log as them (see People.js).
+ *
+ * The web app also serves the JSON API (Api.js), whose clients (phone shortcuts, watches,
+ * scripts) have no Google sign-in, so it is deployed for anyone, and every request is
+ * checked against the API token instead:
+ *   1. My Habit Tracker > Generate API Token.
+ *   2. Deploy > New deployment > Web app, Execute as: Me, Who has access: Anyone
+ *      (the defaults from appsscript.json).
+ *   3. Open the quick log at <web app URL>?token=<token>, or ?token=<token>&person=Name,
+ *      and bookmark it on your own device only: the URL grants write access. API clients send
+ *      the same token in the POST body (see Api.js).
+ * Without a valid token no page is served, so the page's server functions can't be reached;
+ * they check the token again on every call. Generating a new token locks out the old links.
+ * See the README for what the token grants and how to rotate it.
+ */
+
+/**
+ * Script property prefix holding the last quick-log tap, so it can be undone.
+ */
+const QUICK_LOG_LAST_ENTRY_KEY = 'quickLogLastEntry';
+
+/**
+ * Serves the quick-log page. API requests must be POSTs (see Api.js), so their token stays out of URLs.
+ * @param {Object} e The doGet event object; e.parameter.token is the API token and
+ *     e.parameter.person optionally names the person logging.
+ * @return {GoogleAppsScript.HTML.HtmlOutput|GoogleAppsScript.Content.TextOutput} The page or JSON response.
+ */
+function doGet(e) {
+  if (e && e.parameter && e.parameter.action) {
+    return createJsonResponse({ ok: false, error: 'Send API requests as a POST with the token in the JSON body.' });
+  }
+
+  // Only token holders get the page: every page can call the script's functions through google.script.run
+  const token = (e && e.parameter && e.parameter.token) || '';
+  if (!isValidApiToken(token)) {
+    log('WARN', 'Quick-log page request rejected: invalid token.');
+    return ContentService.createTextOutput('Open the quick log with ?token= and the API token (My Habit Tracker > Generate API Token).');
+  }
+
+  const person = (e && e.parameter && e.parameter.person) || '';
+  return HtmlService.createHtmlOutput(generateQuickLogHtml(person, token))
+    .setTitle('Habit Quick Log')
+    .addMetaTag('viewport', 'width=device-width, initial-scale=1');
+}
+
+/**
+ * Gets the habits shown on the quick-log page: Active habits that have started and are
+ * due today (weekly and monthly habits always are), with progress toward the current target.
+ * @param {string=} person Only this person's habits and habits without an owner, if given.
+ * @return {Array<{habitId: string, habitName: string, category: string, measure: string, unit: string,
+ *     progressLabel: string, done: boolean, over: boolean}>} The habits, grouped by owner and category.
+ */
+function getQuickLogHabits(person) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const habitsSheet = ss.getSheetByName(SHEET_NAMES.HABITS);
+  if (!habitsSheet || habitsSheet.getLastRow() < 2) return [];
+
+  const config = getConfig();
+  const todayKey = getTodayKey();
+  const rollupIndex = loadRollupIndex();
+  const habitsData = habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, 17).getValues(); // Through column Q (Owner)
+  const periodLabels = { day: 'today', week: 'this week', month: 'this month' };
+
+  return sortHabitsByOwner(sortHabitsByCategory(habitsData.filter(row => row[0] && row[6] === 'Active'))) // Column G is Status
+    .filter(habit => !person || !getHabitOwner(habit) || isSamePerson(getHabitOwner(habit), person))
+    .filter(habit => !habit[2] || getCalendarDayKey(habit[2]) <= todayKey) // Column C is StartDate
+    .map(habit => ({ habit: habit, schedule: getHabitSchedule(habit, config.weekStartsOn) }))
+    .filter(item => isDayDue(item.schedule, todayKey))
+    .map(item => {
+      const schedule = item.schedule;
+      const progress = getHabitProgressForPeriod(rollupIndex[item.habit[0]] || {}, schedule, getPeriodStartKey(schedule, todayKey), todayKey);
+      const target = getTargetOnDate(schedule, todayKey);
+      const unitSuffix = schedule.measure === 'amount' && schedule.unit ? ` ${schedule.unit}` : '';
+      const meetsTarget = meetsHabitTarget(schedule, progress, todayKey);
+      return {
+        habitId: item.habit[0],
+        habitName: item.habit[1],
+        category: getHabitCategory(item.habit),
+        measure: schedule.measure,
+        unit: schedule.unit,
+        progressLabel: `${formatAmount(progress)}/${formatAmount(target)}${unitSuffix} ${periodLabels[schedule.period]}`,
+        done: schedule.direction === 'build' && meetsTarget,
+        over: schedule.direction === 'limit' && !meetsTarget
+      };
+    });
+}
+
+/**
+ * Throws unless a quick-log page call carries the API token, since any served page could call it.
+ * @param {string} token The API token, from the page URL.
+ */
+function checkQuickLogToken(token) {
+  if (!isValidApiToken(token)) {
+    log('WARN', 'Quick-log call rejected: invalid token.');
+    throw new Error('Invalid token. Open the quick log from its link with ?token= again.');
+  }
+}
+
+/**
+ * Loads the habit list when the quick-log page opens.
+ * @param {string=} person The person logging, from the page URL.
+ * @param {string} token The API token, from the page URL.
+ * @return {{message: string, habits: Array<Object>}} An empty message and the habit list.
+ */
+function loadQuickLogHabits(person, token) {
+  checkQuickLogToken(token);
+  return { message: '', habits: getQuickLogHabits(person) };
+}
+
+/**
+ * Logs one completion of a habit from the quick-log page and remembers it for undo.
+ * @param {string} habitId The habit ID.
+ * @param {string} amount The amount, for quantitative habits; '' otherwise.
+ * @param {string=} person The person logging, from the page URL.
+ * @param {string} token The API token, from the page URL.
+ * @return {{message: string, habits: Array<Object>}} The outcome and the refreshed habit list.
+ */
+function quickLogHabit(habitId, amount, person, token) {
+  checkQuickLogToken(token);
+  try {
+    const habitsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.HABITS);
+    const habit = habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, 2).getValues().find(row => row[0] === habitId);
+    if (!habit) {
+      return { message: `Habit ${habitId} was not found.`, habits: getQuickLogHabits(person) };
+    }
+
+    const result = processNewEntry(buildEntryData({
+      habitName: habit[1],
+      habitId: habitId,
+      count: 1,
+      amount: amount,
+      person: person,
+      allowRepeat: true // Each tap is another completion
+    }));
+    if (!result.accepted) {
+      return { message: `Not logged: ${result.reason}`, habits: getQuickLogHabits(person) };
+    }
+
+    const trackingSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.TRACKING);
+    const createdDate = trackingSheet.getRange(result.rowNumber, 9).getValue(); // Column I is CreatedDate
+    PropertiesService.getScriptProperties().setProperty(getQuickLogUndoKey(person), JSON.stringify({
+      habitId: habitId,
+      habitName: habit[1],
+      dayKey: result.dayKey,
+      createdAt: new Date(createdDate).getTime()
+    }));
+
+    return { message: `Logged ${habit[1]}.`, habits: getQuickLogHabits(person) };
+
+  } catch (error) {
+    log('ERROR', 'Failed to quick-log habit:', error.message, error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Undoes the last quick-log tap by voiding its Daily_Tracking row (see voidTrackingRows).
+ * The row stays in place, so row numbers elsewhere don't shift.
+ * @param {string=} person The person logging, from the page URL.
+ * @param {string} token The API token, from the page URL.
+ * @return {{message: string, habits: Array<Object>}} The outcome and the refreshed habit list.
+ */
+function undoLastQuickLog(person, token) {
+  checkQuickLogToken(token);
+  try {
+    const properties = PropertiesService.getScriptProperties();
+    const undoKey = getQuickLogUndoKey(person);
+    const lastEntry = JSON.parse(properties.getProperty(undoKey) || 'null');
+    if (!lastEntry) {
+      return { message: 'There is nothing to undo.', habits: getQuickLogHabits(person) };
+    }
+
+    // Find the row by HabitID and CreatedDate, in case rows above it were deleted by hand since
+    const trackingSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.TRACKING);
+    const trackingData = trackingSheet.getLastRow() > 1 ?
+      trackingSheet.getRange(2, 1, trackingSheet.getLastRow() - 1, TRACKING_DELETED_COLUMN).getValues() : []; // Columns A to P
+    let index = trackingData.length - 1;
+    while (index >= 0 && !(trackingData[index][1] === lastEntry.habitId &&
+      new Date(trackingData[index][8]).getTime() === lastEntry.createdAt)) { // Columns B (HabitID) and I (CreatedDate)
+      index--;
+    }
+
+    properties.deleteProperty(undoKey);
+    if (index < 0) {
+      log('WARN', `Quick-log entry for ${lastEntry.habitId} was not found in ${SHEET_NAMES.TRACKING}; nothing undone.`);
+      return { message: `The last entry for ${lastEntry.habitName} is no longer in ${SHEET_NAMES.TRACKING}.`, habits: getQuickLogHabits(person) };
+    }
+
+    if (voidTrackingRows(trackingSheet, [index + 2]) === 0) {
+      return { message: `The last entry for ${lastEntry.habitName} was already voided.`, habits: getQuickLogHabits(person) };
+    }
+    log('INFO', `Undid quick-log entry for ${lastEntry.habitName} on ${lastEntry.dayKey}.`);
+
+    return { message: `Undid ${lastEntry.habitName}.`, habits: getQuickLogHabits(person) };
+
+  } catch (error) {
+    log('ERROR', 'Failed to undo quick-log entry:', error.message, error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Refreshes the dashboard from the quick-log page.
+ * @param {string=} person The person logging, from the page URL.
+ * @param {string} token The API token, from the page URL.
+ * @return {{message: string, habits: Array<Object>}} The outcome and the refreshed habit list.
+ */
+function refreshDashboardFromQuickLog(person, token) {
+  checkQuickLogToken(token);
+  try {
+    updateDashboard();
+    return { message: 'Dashboard refreshed.', habits: getQuickLogHabits(person) };
+  } catch (error) {
+    log('ERROR', 'Failed to refresh dashboard from quick log:', error.message, error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Gets the script property holding a person's last quick-log tap.
+ * @param {string=} person The person logging, or '' for the shared page.
+ * @return {string} The property key.
+ */
+function getQuickLogUndoKey(person) {
+  return person ? `${QUICK_LOG_LAST_ENTRY_KEY}_${person.toLowerCase()}` : QUICK_LOG_LAST_ENTRY_KEY;
+}
+
+/**
+ * Generates the quick-log page. Habits are loaded by the page itself, so every
+ * button press redraws them from the server's response.
+ * @param {string} person The person logging, or '' for the shared page.
+ * @param {string} token The API token the page was opened with; it is sent with every call.
+ * @return {string} The complete HTML string for the page.
+ */
+function generateQuickLogHtml(person, token) {
+  const personJson = JSON.stringify(person).replace(/</g, '\\u003c');
+  const tokenJson = JSON.stringify(token).replace(/</g, '\\u003c');
+  return `
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; margin: 12px; background: #fafafa; }
+          h2 { color: #4CAF50; margin: 0 0 12px; }
+          h4 { color: #555; margin: 16px 0 6px; }
+          .habit { display: block; width: 100%; margin: 6px 0; padding: 18px; font-size: 18px; text-align: left;
+            border: 1px solid #ccc; border-radius: 10px; background: white; }
+          .habit.done { background: #C8E6C9; border-color: #4CAF50; }
+          .habit.over { background: #FFCDD2; border-color: #E53935; }
+          .progress { float: right; color: #555; }
+          .actions button { padding: 12px 16px; font-size: 16px; margin-right: 8px; border-radius: 8px; border: 1px solid #ccc; }
+          #message { min-height: 20px; margin: 10px 0; color: #333; }
+        </style>
+      </head>
+      <body>
+        <h2>✅ Habit Quick Log</h2>
+        <div class="actions">
+          <button onclick="run('undoLastQuickLog')">↩️ Undo last</button>
+          <button onclick="run('refreshDashboardFromQuickLog')">🔄 Refresh dashboard</button>
+        </div>
+        <div id="message">Loading…</div>
+        <div id="habits"></div>
+        <script>
+          const person = ${personJson};
+          const token = ${tokenJson};
+
+          function render(response) {
+            document.getElementById('message').textContent = response.message;
+            const container = document.getElementById('habits');
+            container.innerHTML = '';
+            if (response.habits.length === 0) {
+              container.textContent = 'No habits are due today.';
+            }
+            let category = null;
+            response.habits.forEach(habit => {
+              if (habit.category !== category) {
+                category = habit.category;
+                const heading = document.createElement('h4');
+                heading.textContent = category;
+                container.appendChild(heading);
+              }
+              const button = document.createElement('button');
+              button.className = 'habit' + (habit.done ? ' done' : '') + (habit.over ? ' over' : '');
+              button.textContent = habit.habitName;
+              const progress = document.createElement('span');
+              progress.className = 'progress';
+              progress.textContent = habit.progressLabel;
+              button.appendChild(progress);
+              button.onclick = () => logHabit(habit);
+              container.appendChild(button);
+            });
+          }
+
+          function logHabit(habit) {
+            let amount = '';
+            if (habit.measure === 'amount') {
+              amount = prompt('How much' + (habit.unit ? ' (' + habit.unit + ')' : '') + '?');
+              if (amount === null) return;
+            }
+            run('quickLogHabit', habit.habitId, amount);
+          }
+
+          function run(functionName, ...args) {
+            document.getElementById('message').textContent = 'Working…';
+            google.script.run
+              .withSuccessHandler(render)
+              .withFailureHandler(error => document.getElementById('message').textContent = 'Error: ' + error.message)
+              [functionName](...args, person, token);
+          }
+
+          run('loadQuickLogHabits');
+        </script>
+      </body>
+    </html>
+  `;
+}
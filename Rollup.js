@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Precomputed daily rollup of Daily_Tracking, keyed by (HabitID, day).
+ * processNewEntry updates it incrementally so dashboard and email metrics never
+ * have to rescan the full tracking history. It can be rebuilt from scratch at any time.
+ */
+
+/**
+ * Header row of the Daily_Rollup sheet.
+ */
+const ROLLUP_HEADERS = ['HabitID', 'Day', 'Completions', 'Entries', 'UpdatedAt', 'Excused', 'Amount'];
+
+/**
+ * Gets the Daily_Rollup sheet, creating it with headers if it does not exist.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The rollup sheet.
+ */
+function getRollupSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let rollupSheet = ss.getSheetByName(SHEET_NAMES.ROLLUP);
+  if (!rollupSheet) {
+    rollupSheet = ss.insertSheet(SHEET_NAMES.ROLLUP);
+    rollupSheet.getRange(1, 1, 1, ROLLUP_HEADERS.length).setValues([ROLLUP_HEADERS]).setFontWeight('bold');
+    rollupSheet.setFrozenRows(1);
+    // Keep day keys as plain text so Sheets doesn't convert them to dates
+    rollupSheet.getRange('B:B').setNumberFormat('@');
+    log('INFO', `Created new sheet: ${SHEET_NAMES.ROLLUP}`);
+  }
+  return rollupSheet;
+}
+
+/**
+ * Normalizes a Day cell from the rollup sheet to a day key.
+ * @param {Date|string} value The cell value.
+ * @return {string} The day key.
+ */
+function toRollupDayKey(value) {
+  return value instanceof Date ? getCalendarDayKey(value) : String(value);
+}
+
+/**
+ * Adds a tracking entry to the rollup, creating the (HabitID, day) row if needed.
+ * @param {string} habitId The habit ID.
+ * @param {string} dayKey The day the entry counts for.
+ * @param {number} completions The completions recorded by the entry.
+ * @param {boolean=} isExcused Whether the entry marks the day as Excused.
+ * @param {number=} amount The amount recorded by the entry, for quantitative habits.
+ */
+function updateRollupForEntry(habitId, dayKey, completions, isExcused, amount) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+
+  try {
+    const rollupSheet = getRollupSheet();
+    const lastRow = rollupSheet.getLastRow();
+    const keys = lastRow > 1 ? rollupSheet.getRange(2, 1, lastRow - 1, 2).getValues() : [];
+    const index = keys.findIndex(row => row[0] === habitId && toRollupDayKey(row[1]) === dayKey);
+
+    const excused = isExcused ? 1 : 0;
+    amount = amount || 0;
+    if (index === -1) {
+      rollupSheet.appendRow([habitId, dayKey, completions, 1, new Date(), excused, amount]);
+    } else {
+      const rowRange = rollupSheet.getRange(index + 2, 3, 1, 5);
+      const current = rowRange.getValues()[0];
+      rowRange.setValues([[(current[0] || 0) + completions, (current[1] || 0) + 1, new Date(), (current[3] || 0) + excused, (current[4] || 0) + amount]]);
+    }
+
+    log('DEBUG', `Rollup updated for ${habitId} on ${dayKey} (+${completions})`);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Takes a tracking entry back out of the rollup, e.g. when it is undone.
+ * The (HabitID, day) row is removed once it holds no entries.
+ * @param {string} habitId The habit ID.
+ * @param {string} dayKey The day the entry counted for.
+ * @param {number} completions The completions the entry recorded.
+ * @param {boolean=} isExcused Whether the entry marked the day as Excused.
+ * @param {number=} amount The amount the entry recorded, for quantitative habits.
+ */
+function removeRollupEntry(habitId, dayKey, completions, isExcused, amount) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+
+  try {
+    const rollupSheet = getRollupSheet();
+    const lastRow = rollupSheet.getLastRow();
+    const keys = lastRow > 1 ? rollupSheet.getRange(2, 1, lastRow - 1, 2).getValues() : [];
+    const index = keys.findIndex(row => row[0] === habitId && toRollupDayKey(row[1]) === dayKey);
+    if (index === -1) {
+      log('WARN', `No rollup row for ${habitId} on ${dayKey} to remove an entry from.`);
+      return;
+    }
+
+    const rowRange = rollupSheet.getRange(index + 2, 3, 1, 5);
+    const current = rowRange.getValues()[0];
+    const entries = (current[1] || 0) - 1;
+    if (entries <= 0) {
+      rollupSheet.deleteRow(index + 2);
+    } else {
+      rowRange.setValues([[
+        Math.max(0, (current[0] || 0) - completions), entries, new Date(),
+        Math.max(0, (current[3] || 0) - (isExcused ? 1 : 0)), Math.max(0, (current[4] || 0) - (amount || 0))
+      ]]);
+    }
+
+    log('DEBUG', `Rollup updated for ${habitId} on ${dayKey} (-${completions})`);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Rebuilds the Daily_Rollup sheet from the full Daily_Tracking history.
+ * @return {number} The number of (HabitID, day) rows written.
+ */
+function rebuildDailyRollup() {
+  log('INFO', 'Rebuilding daily rollup from tracking history...');
+  const trackingSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.TRACKING);
+  const rollupSheet = getRollupSheet();
+
+  const totals = {};
+  if (trackingSheet && trackingSheet.getLastRow() > 1) {
+    const trackingData = trackingSheet.getRange(2, 1, trackingSheet.getLastRow() - 1, trackingSheet.getLastColumn()).getValues();
+    trackingData.forEach(entry => {
+      if (!entry[0] || !entry[1] || entry[15] === true) return; // Voided entries (Deleted, column P) don't count
+      const key = `${entry[1]}|${getDayKey(entry[0])}`;
+      if (!totals[key]) {
+        totals[key] = { completions: 0, entries: 0, excused: 0, amount: 0 };
+      }
+      if (entry[9] === 'Excused') { // CompletionStatus (column J)
+        totals[key].excused++;
+      } else {
+        totals[key].completions += Number(entry[5]) || 0; // ActualCompletions (column F); 0 for misses and untouched limits
+        totals[key].amount += Number(entry[11]) || 0; // Amount (column L)
+      }
+      totals[key].entries++;
+    });
+  }
+
+  const now = new Date();
+  const rows = Object.keys(totals).sort().map(key => {
+    const parts = key.split('|');
+    return [parts[0], parts[1], totals[key].completions, totals[key].entries, now, totals[key].excused, totals[key].amount];
+  });
+
+  // Rewrite the header too, so sheets created before a column was added pick it up
+  rollupSheet.getRange(1, 1, 1, ROLLUP_HEADERS.length).setValues([ROLLUP_HEADERS]).setFontWeight('bold');
+  if (rollupSheet.getLastRow() > 1) {
+    rollupSheet.getRange(2, 1, rollupSheet.getLastRow() - 1, ROLLUP_HEADERS.length).clearContent();
+  }
+  if (rows.length > 0) {
+    rollupSheet.getRange(2, 1, rows.length, ROLLUP_HEADERS.length).setValues(rows);
+  }
+
+  log('INFO', `Daily rollup rebuilt with ${rows.length} habit-days.`);
+  return rows.length;
+}
+
+/**
+ * Loads the rollup into a lookup of habit -> day -> totals.
+ * Builds the rollup from tracking history first if it has never been created.
+ * @return {Object<string, Object<string, {completions: number, entries: number, excused: number, amount: number}>>}
+ *     The rollup index.
+ */
+function loadRollupIndex() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  if (!ss.getSheetByName(SHEET_NAMES.ROLLUP)) {
+    rebuildDailyRollup();
+  }
+
+  const rollupSheet = getRollupSheet();
+  const index = {};
+  if (rollupSheet.getLastRow() < 2) return index;
+
+  rollupSheet.getRange(2, 1, rollupSheet.getLastRow() - 1, ROLLUP_HEADERS.length).getValues().forEach(row => {
+    const habitId = row[0];
+    if (!habitId) return;
+    if (!index[habitId]) {
+      index[habitId] = {};
+    }
+    index[habitId][toRollupDayKey(row[1])] = {
+      completions: row[2] || 0, entries: row[3] || 0, excused: row[5] || 0, amount: row[6] || 0
+    };
+  });
+
+  return index;
+}
+
+/**
+ * Menu command: rebuilds the rollup from scratch and refreshes the dashboard.
+ */
+function rebuildDailyRollupFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const rowCount = rebuildDailyRollup();
+    updateDashboard();
+    ui.alert('Rollup Rebuilt', `${SHEET_NAMES.ROLLUP} now holds ${rowCount} habit-days and the dashboard has been refreshed.`, ui.ButtonSet.OK);
+  } catch (error) {
+    log('ERROR', 'Failed to rebuild daily rollup:', error.message, error.stack);
+    ui.alert('Rebuild Failed', `Error: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
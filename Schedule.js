@@ -0,0 +1,348 @@
+/**
+ * @fileoverview Habit schedules: which days a habit is due and which period it is scored over.
+ * A schedule comes from the optional Habits_Main Schedule column (L) and falls back to
+ * Frequency/FrequencyPerPeriod when that is blank. Supported forms:
+ *   "daily", "weekdays", "weekends", "Mon/Wed/Fri", "every 3 days"  (scored per due day)
+ *   "3 times per week", "4 times per month"                        (scored per calendar period)
+ * Off-days of a day-scored habit are neither failures nor streak breakers.
+ * Habits with a TargetAmount (column N) are measured by the logged Amount in their Unit
+ * (column M) instead of by completions, and the target becomes that amount.
+ * Limit habits (Direction column O) succeed by staying at or under the target instead of
+ * reaching it; a limit of 0 means "none at all", so a day with no entry counts as a success.
+ * Targets can change over time through the Target_Ramps sheet (see TargetRamps.js), so
+ * target checks take the day (or any day of the period) being scored.
+ */
+
+/**
+ * Weekday names, indexed like Date.getDay().
+ */
+const SCHEDULE_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Parses a habit's schedule.
+ * @param {string} value The Schedule cell (may be blank).
+ * @param {string} frequency The Frequency cell (Daily, Weekly or Monthly), used when Schedule is blank.
+ * @param {number} targetPerPeriod The FrequencyPerPeriod cell.
+ * @param {?string} anchorKey The habit's start day; "every N days" counts from it.
+ * @param {string} weekStartsOn 'Monday' or 'Sunday'.
+ * @return {{period: string, target: number, measure: string, unit: string, direction: string,
+ *     weekdays: ?Array<number>, everyDays: ?number, anchorKey: ?string, weekStartsOn: string, label: string}}
+ *     The schedule. period is 'day', 'week' or 'month'; measure ('completions' or 'amount') and
+ *     direction ('build' or 'limit') are filled in by getHabitSchedule.
+ */
+function parseSchedule(value, frequency, targetPerPeriod, anchorKey, weekStartsOn) {
+  const parsedTarget = parseInt(targetPerPeriod, 10);
+  const target = parsedTarget >= 0 ? parsedTarget : 1; // 0 is only meaningful for limit habits
+  const schedule = {
+    period: 'day',
+    target: target,
+    measure: 'completions',
+    unit: '',
+    direction: 'build',
+    weekdays: null,
+    everyDays: null,
+    anchorKey: anchorKey || null,
+    weekStartsOn: weekStartsOn,
+    label: 'Daily'
+  };
+  if (frequency === 'Weekly' || frequency === 'Monthly') {
+    schedule.period = frequency === 'Weekly' ? 'week' : 'month';
+    schedule.label = frequency;
+  }
+
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return schedule;
+
+  let match;
+  if (text === 'daily' || text === 'every day') {
+    schedule.period = 'day';
+  } else if (/^weekdays?( only)?$/.test(text)) {
+    schedule.period = 'day';
+    schedule.weekdays = [1, 2, 3, 4, 5];
+  } else if (/^weekends?( only)?$/.test(text)) {
+    schedule.period = 'day';
+    schedule.weekdays = [0, 6];
+  } else if ((match = text.match(/^every\s+(\d+)\s+days?$/))) {
+    schedule.period = 'day';
+    schedule.everyDays = Math.max(1, parseInt(match[1], 10));
+  } else if ((match = text.match(/^(\d+)\s*(?:x|times?)?\s*(?:per|a|\/|every)\s*(week|month)$/))) {
+    schedule.period = match[2];
+    schedule.target = parseInt(match[1], 10);
+  } else {
+    const weekdays = parseScheduleWeekdays(text);
+    if (!weekdays) {
+      log('WARN', `Unrecognised Schedule '${value}'. Falling back to Frequency '${frequency || 'Daily'}'.`);
+      return schedule;
+    }
+    schedule.period = 'day';
+    schedule.weekdays = weekdays;
+  }
+
+  schedule.label = String(value).trim();
+  return schedule;
+}
+
+/**
+ * Parses a list of weekdays such as "Mon/Wed/Fri" or "tue, thu".
+ * @param {string} text The lower-cased schedule text.
+ * @return {?Array<number>} The weekdays (0 = Sunday), or null if any part is not a weekday.
+ */
+function parseScheduleWeekdays(text) {
+  const tokens = text.split(/[\/,&\s]+/).filter(token => token && token !== 'and');
+  if (tokens.length === 0) return null;
+
+  const weekdays = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const weekday = SCHEDULE_WEEKDAYS.findIndex(name => token.length >= 3 && name.indexOf(token) === 0);
+    if (weekday === -1) return null;
+    if (weekdays.indexOf(weekday) === -1) weekdays.push(weekday);
+  }
+  return weekdays.sort();
+}
+
+/**
+ * Gets the schedule of a Habits_Main row, including its amount target, direction and
+ * ramp steps from Target_Ramps. schedule.target is the base target, before any ramp step.
+ * @param {Array} habit The habit row (through column O, Direction).
+ * @param {string} weekStartsOn 'Monday' or 'Sunday'.
+ * @return {Object} The schedule from parseSchedule.
+ */
+function getHabitSchedule(habit, weekStartsOn) {
+  const anchorKey = habit[2] ? getCalendarDayKey(habit[2]) : null; // Column C is StartDate
+  const schedule = parseSchedule(habit[11], habit[4], habit[5], anchorKey, weekStartsOn); // Columns L, E and F
+
+  schedule.direction = String(habit[14] || '').trim().toLowerCase() === 'limit' ? 'limit' : 'build'; // Column O is Direction
+  schedule.unit = String(habit[12] || '').trim(); // Column M is Unit
+  const targetAmount = habit[13] === '' || habit[13] === null || habit[13] === undefined ? NaN : parseFloat(habit[13]); // Column N is TargetAmount
+  if (targetAmount > 0 || (targetAmount === 0 && schedule.direction === 'limit')) {
+    schedule.measure = 'amount';
+    schedule.target = targetAmount;
+  }
+
+  // Build habits always need at least one completion, at every step of their ramp
+  const isBuild = schedule.direction === 'build';
+  if (isBuild && schedule.target <= 0) {
+    schedule.target = 1;
+  }
+  schedule.ramp = (loadTargetRamps()[habit[0]] || [])
+    .map(step => ({ fromKey: step.fromKey, target: isBuild && step.target <= 0 ? 1 : step.target }));
+  return schedule;
+}
+
+/**
+ * Checks whether an amount of progress meets a schedule's target: at least the
+ * target for build habits, at most the target for limit habits.
+ * @param {Object} schedule The schedule from getHabitSchedule.
+ * @param {number} progress The completions or amount.
+ * @param {string} dayKey The day (or any day of the period) being scored, for ramped targets.
+ * @return {boolean} True if the target is met.
+ */
+function meetsHabitTarget(schedule, progress, dayKey) {
+  const target = getTargetOnDate(schedule, dayKey);
+  return schedule.direction === 'limit' ? progress <= target : progress >= target;
+}
+
+/**
+ * Checks whether a schedule is a zero limit ("none at all"), where an unlogged day is a success.
+ * @param {Object} schedule The schedule from getHabitSchedule.
+ * @param {string} dayKey The day (or any day of the period) being scored, for ramped targets.
+ * @return {boolean} True for limit habits with a target of 0.
+ */
+function isZeroLimit(schedule, dayKey) {
+  return schedule.direction === 'limit' && getTargetOnDate(schedule, dayKey) === 0;
+}
+
+/**
+ * Formats a schedule's target for display, e.g. "2x", "30 pages" or "≤ 2x".
+ * @param {Object} schedule The schedule from getHabitSchedule.
+ * @param {string=} dayKey The day whose (ramped) target to show; the base target if omitted.
+ * @return {string} The formatted target.
+ */
+function formatScheduleTarget(schedule, dayKey) {
+  const prefix = schedule.direction === 'limit' ? '≤ ' : '';
+  const target = getTargetOnDate(schedule, dayKey);
+  if (schedule.measure !== 'amount') return `${prefix}${target}x`;
+  return `${prefix}${formatAmount(target)}${schedule.unit ? ' ' + schedule.unit : ''}`;
+}
+
+/**
+ * Formats an amount with at most one decimal place.
+ * @param {number} amount The amount.
+ * @return {string} The formatted amount.
+ */
+function formatAmount(amount) {
+  return String(Math.round(amount * 10) / 10);
+}
+
+/**
+ * Checks whether a habit is due on a day. Week- and month-scored habits are due every day.
+ * @param {Object} schedule The schedule from parseSchedule.
+ * @param {string} dayKey The day to check.
+ * @return {boolean} True if the day counts toward the habit's score.
+ */
+function isDayDue(schedule, dayKey) {
+  if (schedule.period !== 'day') return true;
+  if (schedule.weekdays) {
+    return schedule.weekdays.indexOf(getWeekdayForKey(dayKey)) !== -1;
+  }
+  if (schedule.everyDays && schedule.anchorKey) {
+    const daysSinceAnchor = getDaysBetweenKeys(schedule.anchorKey, dayKey);
+    return daysSinceAnchor >= 0 && daysSinceAnchor % schedule.everyDays === 0;
+  }
+  return true;
+}
+
+/**
+ * Gets the first day of the scoring period containing a day.
+ * @param {Object} schedule The schedule from parseSchedule.
+ * @param {string} dayKey The day.
+ * @return {string} The day itself, the start of its calendar week, or the 1st of its month.
+ */
+function getPeriodStartKey(schedule, dayKey) {
+  if (schedule.period === 'week') return getWeekStartKey(dayKey, schedule.weekStartsOn);
+  if (schedule.period === 'month') return dayKey.substring(0, 8) + '01';
+  return dayKey;
+}
+
+/**
+ * Gets the first day of the scoring period after the given one.
+ * @param {Object} schedule The schedule from parseSchedule.
+ * @param {string} periodKey The first day of a period.
+ * @return {string} The first day of the next period.
+ */
+function getNextPeriodStartKey(schedule, periodKey) {
+  if (schedule.period === 'week') return addDaysToKey(periodKey, 7);
+  if (schedule.period === 'month') {
+    const date = dayKeyToUtcDate(periodKey.substring(0, 8) + '01');
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    return date.toISOString().split('T')[0];
+  }
+  return addDaysToKey(periodKey, 1);
+}
+
+/**
+ * Gets the last day of a scoring period.
+ * @param {Object} schedule The schedule from parseSchedule.
+ * @param {string} periodKey The first day of the period.
+ * @return {string} The last day of the period.
+ */
+function getPeriodEndKey(schedule, periodKey) {
+  return addDaysToKey(getNextPeriodStartKey(schedule, periodKey), -1);
+}
+
+/**
+ * Gets the unit streaks of a schedule are counted in.
+ * @param {Object} schedule The schedule from parseSchedule.
+ * @return {string} 'days', 'weeks' or 'months'.
+ */
+function getPeriodUnit(schedule) {
+  return schedule.period === 'day' ? 'days' : `${schedule.period}s`;
+}
+
+/**
+ * Gets a habit's total progress (completions, or amount for quantitative habits) in a scoring period
+ * @param {Object<string, {completions: number, amount: number}>} habitDays The habit's days from loadRollupIndex
+ * @param {Object} schedule The schedule from getHabitSchedule
+ * @param {string} periodKey The first day of the period (see getPeriodStartKey)
+ * @param {string=} upToKey Optional last day to include (defaults to the end of the period)
+ * @return {number} Total progress in the period
+ */
+function getHabitProgressForPeriod(habitDays, schedule, periodKey, upToKey) {
+  const periodEndKey = getPeriodEndKey(schedule, periodKey);
+  return getHabitProgressBetween(habitDays, schedule, periodKey, upToKey && upToKey < periodEndKey ? upToKey : periodEndKey);
+}
+
+/**
+ * Gets a habit's total progress over a range of days
+ * @param {Object<string, {completions: number, amount: number}>} habitDays The habit's days from loadRollupIndex
+ * @param {Object} schedule The schedule from getHabitSchedule
+ * @param {string} startKey The first day of the range
+ * @param {string} endKey The last day of the range
+ * @return {number} Total progress over the range
+ */
+function getHabitProgressBetween(habitDays, schedule, startKey, endKey) {
+  let totalProgress = 0;
+  for (let dayKey = startKey; dayKey <= endKey; dayKey = addDaysToKey(dayKey, 1)) {
+    totalProgress += getHabitProgressForDate(habitDays, dayKey, schedule);
+  }
+  return totalProgress;
+}
+
+/**
+ * Checks whether a scoring period has anything to score. Limit habits need an entry
+ * in the period (unless they are zero limits); build habits need some progress.
+ * @param {Object<string, Object>} habitDays The habit's days from loadRollupIndex
+ * @param {Object} schedule The schedule from getHabitSchedule
+ * @param {string} periodKey The first day of the period (see getPeriodStartKey)
+ * @return {boolean} True if the period can be scored
+ */
+function hasHabitDataInPeriod(habitDays, schedule, periodKey) {
+  if (schedule.direction !== 'limit') {
+    return getHabitProgressForPeriod(habitDays, schedule, periodKey) > 0;
+  }
+  if (isZeroLimit(schedule, periodKey)) return true;
+
+  const periodEndKey = getPeriodEndKey(schedule, periodKey);
+  return Object.keys(habitDays).some(dayKey => dayKey >= periodKey && dayKey <= periodEndKey);
+}
+
+/**
+ * Checks if a habit met its target in a scoring period
+ * @param {Object<string, {completions: number, amount: number}>} habitDays The habit's days from loadRollupIndex
+ * @param {Object} schedule The schedule from getHabitSchedule
+ * @param {string} periodKey The first day of the period (see getPeriodStartKey)
+ * @return {boolean} True if progress in the period met the target (stayed within it, for limit habits)
+ */
+function wasHabitSuccessfulInPeriod(habitDays, schedule, periodKey) {
+  if (schedule.direction === 'limit' && !hasHabitDataInPeriod(habitDays, schedule, periodKey)) return false;
+  return meetsHabitTarget(schedule, getHabitProgressForPeriod(habitDays, schedule, periodKey), periodKey);
+}
+
+/**
+ * Checks if any day of a scoring period was marked Excused
+ * @param {Object<string, {excused: number}>} habitDays The habit's days from loadRollupIndex
+ * @param {Object} schedule The schedule from parseSchedule
+ * @param {string} periodKey The first day of the period (see getPeriodStartKey)
+ * @return {boolean} True if the period contains an Excused day
+ */
+function wasHabitExcusedInPeriod(habitDays, schedule, periodKey) {
+  const periodEndKey = getPeriodEndKey(schedule, periodKey);
+  for (let dayKey = periodKey; dayKey <= periodEndKey; dayKey = addDaysToKey(dayKey, 1)) {
+    if (wasHabitExcusedOnDate(habitDays, dayKey)) return true;
+  }
+  return false;
+}
+
+/**
+ * Checks whether any day of a scoring period falls inside a paused interval.
+ * @param {Array<{startKey: string, endKey: ?string}>} pausedIntervals The habit's paused intervals.
+ * @param {Object} schedule The schedule from parseSchedule.
+ * @param {string} periodKey The first day of the period.
+ * @return {boolean} True if the habit was paused for at least one day of the period.
+ */
+function isPeriodPaused(pausedIntervals, schedule, periodKey) {
+  const periodEndKey = getPeriodEndKey(schedule, periodKey);
+  for (let dayKey = periodKey; dayKey <= periodEndKey; dayKey = addDaysToKey(dayKey, 1)) {
+    if (isDayPaused(pausedIntervals, dayKey)) return true;
+  }
+  return false;
+}
+
+/**
+ * Counts the completions (or amount) a schedule expects over a range of days.
+ * Day-scored habits expect the target on every due day; week- and month-scored
+ * habits expect it once for every period the range touches. Ramped targets are
+ * applied per day or period.
+ * @param {Object} schedule The schedule from parseSchedule.
+ * @param {string} startKey The first day of the range.
+ * @param {string} endKey The last day of the range.
+ * @return {number} The expected completions or amount.
+ */
+function getExpectedCompletions(schedule, startKey, endKey) {
+  let expected = 0;
+  for (let periodKey = getPeriodStartKey(schedule, startKey); periodKey <= endKey; periodKey = getNextPeriodStartKey(schedule, periodKey)) {
+    if (isDayDue(schedule, periodKey)) expected += getTargetOnDate(schedule, periodKey);
+  }
+  return expected;
+}
@@ -21,12 +21,25 @@ function createHabitsMainHeader() {
       'FrequencyPerPeriod', 'Status', 'CreatedDate', 'Notes'
     ];
 
+    // Column J is reserved for the form update status button (see setFormUpdateButtonStatus),
+    // so optional per-habit settings start at column K
+    const settingHeaders = ['StreakAllowance', 'Schedule', 'Unit', 'TargetAmount', 'Direction', 'Category', 'Owner'];
+
     // Set the header row
     sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.getRange(1, 11, 1, settingHeaders.length).setValues([settingHeaders]);
     
     // Set formatting for the header row
     sheet.setFrozenRows(1); 
     sheet.getRange('A1:I1').setFontWeight('bold');
+    sheet.getRange(1, 11, 1, settingHeaders.length).setFontWeight('bold');
+    sheet.getRange('K1').setNote('Optional streak freezes, e.g. "2 per month" or "1 per 7 days"');
+    sheet.getRange('L1').setNote('Optional schedule, overriding Frequency: "weekdays", "weekends", "Mon/Wed/Fri", "every 3 days", "3 times per week" or "4 times per month"');
+    sheet.getRange('M1').setNote('Optional unit for quantitative habits, e.g. glasses, pages or km');
+    sheet.getRange('N1').setNote('Optional amount to reach per due day (or per period), e.g. 8. When set, the habit is scored by the logged Amount instead of completions');
+    sheet.getRange('O1').setNote('Build (default): do at least the target. Limit: stay at or under it, e.g. at most 2 coffees. A limit of 0 means none at all');
+    sheet.getRange('P1').setNote('Optional category, e.g. Health or Work. The dashboard, email and form list habits grouped by category');
+    sheet.getRange('Q1').setNote('Optional person from the People sheet. Their entries, dashboard section and accountability email are kept separate');
     
     // Adjust column widths for better readability
     sheet.setColumnWidth(1, 80);   // HabitID
@@ -38,6 +51,7 @@ function createHabitsMainHeader() {
     sheet.setColumnWidth(7, 80);   // Status
     sheet.setColumnWidth(8, 120);  // CreatedDate
     sheet.setColumnWidth(9, 200);  // Notes
+    sheet.setColumnWidth(11, 130); // StreakAllowance
 
     log('INFO', 'Habits_Main header row created successfully with frequency tracking.');
   } catch (error) {
@@ -59,7 +73,8 @@ function createTrackingSheetHeader() {
 
     const headers = [
       'Timestamp', 'HabitID', 'HabitName', 'Frequency', 'TargetFrequencyPerPeriod', 'ActualCompletions',
-      'Success', 'Comments', 'CreatedDate'
+      'Success', 'Comments', 'CreatedDate', 'CompletionStatus', 'ExcusedReason', 'Amount', 'Owner',
+      'ResponseID', 'EditURL', 'Deleted', 'Fingerprint'
     ];
 
     // Set the header row
@@ -67,10 +82,10 @@ function createTrackingSheetHeader() {
     
     // Set formatting for the header row
     sheet.setFrozenRows(1); 
-    sheet.getRange('A1:H1').setFontWeight('bold');
+    sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
     
     // Adjust column widths for better readability
-    sheet.setColumnWidth(1, 120);  // Timestamp
+    sheet.setColumnWidth(1, 120);  // Timestamp (day the entry counts for)
     sheet.setColumnWidth(2, 80);   // HabitID
     sheet.setColumnWidth(3, 150);  // HabitName
     sheet.setColumnWidth(4, 100);  // Frequency
@@ -78,7 +93,15 @@ function createTrackingSheetHeader() {
     sheet.setColumnWidth(6, 130);  // ActualCompletions
     sheet.setColumnWidth(7, 80);   // Success
     sheet.setColumnWidth(8, 200);  // Comments
-    sheet.setColumnWidth(9, 120);  // CreatedDate
+    sheet.setColumnWidth(9, 120);  // CreatedDate (actual submission time)
+    sheet.setColumnWidth(10, 130); // CompletionStatus
+    sheet.setColumnWidth(11, 200); // ExcusedReason
+    sheet.setColumnWidth(12, 90);  // Amount
+    sheet.setColumnWidth(13, 100); // Owner
+    sheet.setColumnWidth(14, 120); // ResponseID (form response the entry came from)
+    sheet.setColumnWidth(15, 200); // EditURL
+    sheet.setColumnWidth(16, 80);  // Deleted (voided entries)
+    sheet.setColumnWidth(17, 120); // Fingerprint (duplicate detection)
 
     log('INFO', 'Daily_Tracking header row created successfully with frequency tracking.');
   } catch (error) {
@@ -352,16 +375,17 @@ function updateDataValidationForFrequency(ss) {
     .build();
   habitsSheet.getRange('D2:D').setDataValidation(endDateRule);
 
-  // Column E: Frequency - Daily/Weekly validation
+  // Column E: Frequency - Daily/Weekly/Monthly validation (finer schedules go in column L)
   const frequencyRule = SpreadsheetApp.newDataValidation()
-    .requireValueInList(['Daily', 'Weekly'])
+    .requireValueInList(['Daily', 'Weekly', 'Monthly'])
     .setAllowInvalid(false)
     .build();
   habitsSheet.getRange('E2:E').setDataValidation(frequencyRule);
 
-  // Column F: FrequencyPerPeriod - Times per period validation (1, 2, 3, 4)
+  // Column F: FrequencyPerPeriod - Times per period validation (a positive whole number; 0 is allowed for limit habits, column O)
   const timesPerPeriodRule = SpreadsheetApp.newDataValidation()
-    .requireValueInList(['1', '2', '3', '4'])
+    .requireFormulaSatisfied('=AND(ISNUMBER(F2), F2 = INT(F2), F2 >= IF(LOWER($O2) = "limit", 0, 1))')
+    .setHelpText('Enter a whole number of times per period (1 or more; 0 only for limit habits).')
     .setAllowInvalid(false)
     .build();
   habitsSheet.getRange('F2:F').setDataValidation(timesPerPeriodRule);
@@ -375,6 +399,13 @@ function updateDataValidationForFrequency(ss) {
 
   // Column H: CreatedDate - No validation needed (auto-generated)
   // Column I: Notes - No validation needed (free text)
+
+  // Column O: Direction - Build/Limit validation
+  const directionRule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(['Build', 'Limit'])
+    .setAllowInvalid(false)
+    .build();
+  habitsSheet.getRange('O2:O').setDataValidation(directionRule);
   
   log('INFO', 'Updated data validation rules with correct column assignments');
 }
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Records every habit Status change and derives paused intervals from them.
+ * Days inside a paused interval are left out of streaks, success rates and averages.
+ */
+
+/**
+ * Header row of the Status_History sheet.
+ */
+const STATUS_HISTORY_HEADERS = ['ChangedAt', 'HabitID', 'HabitName', 'OldStatus', 'NewStatus'];
+
+/**
+ * Gets the Status_History sheet, creating it with headers if it does not exist.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The status history sheet.
+ */
+function getStatusHistorySheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let historySheet = ss.getSheetByName(SHEET_NAMES.STATUS_HISTORY);
+  if (!historySheet) {
+    historySheet = ss.insertSheet(SHEET_NAMES.STATUS_HISTORY);
+    historySheet.getRange(1, 1, 1, STATUS_HISTORY_HEADERS.length).setValues([STATUS_HISTORY_HEADERS]).setFontWeight('bold');
+    historySheet.setFrozenRows(1);
+    log('INFO', `Created new sheet: ${SHEET_NAMES.STATUS_HISTORY}`);
+  }
+  return historySheet;
+}
+
+/**
+ * Appends a status change to the Status_History sheet.
+ * @param {string} habitId The habit ID.
+ * @param {string} habitName The habit name.
+ * @param {string} oldStatus The previous status (may be empty if unknown).
+ * @param {string} newStatus The new status.
+ */
+function recordStatusChange(habitId, habitName, oldStatus, newStatus) {
+  if (!habitId || oldStatus === newStatus) return;
+
+  getStatusHistorySheet().appendRow([new Date(), habitId, habitName, oldStatus || '', newStatus || '']);
+  log('INFO', `Status of ${habitId} (${habitName}) changed from '${oldStatus || ''}' to '${newStatus}'`);
+}
+
+/**
+ * Records Status edits made directly in Habits_Main. Called from onEdit.
+ * Single-cell edits use the event's oldValue; pasted ranges record the new value only.
+ * @param {Object} e The onEdit event object.
+ */
+function captureStatusEdit(e) {
+  const range = e.range;
+  const sheet = range.getSheet();
+  const statusColumn = 7; // Column G is Status
+
+  if (range.getColumn() > statusColumn || range.getLastColumn() < statusColumn || range.getRow() < 2) return;
+
+  const rows = sheet.getRange(range.getRow(), 1, range.getNumRows(), statusColumn).getValues();
+  const isSingleCell = range.getNumRows() === 1 && range.getNumColumns() === 1;
+
+  rows.forEach(row => {
+    const oldStatus = isSingleCell ? e.oldValue : '';
+    recordStatusChange(row[0], row[1], oldStatus, row[6]);
+  });
+}
+
+/**
+ * Loads the paused intervals of every habit from the status history.
+ * An interval starts on the day a habit became Paused and ends (exclusive) on the day
+ * it left Paused; an interval that is still open has a null endKey.
+ * @return {Object<string, Array<{startKey: string, endKey: ?string}>>} Paused intervals by HabitID.
+ */
+function loadPausedIntervals() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const historySheet = ss.getSheetByName(SHEET_NAMES.STATUS_HISTORY);
+  const intervals = {};
+  if (!historySheet || historySheet.getLastRow() < 2) return intervals;
+
+  const history = historySheet.getRange(2, 1, historySheet.getLastRow() - 1, STATUS_HISTORY_HEADERS.length).getValues()
+    .filter(row => row[0] && row[1])
+    .sort((a, b) => new Date(a[0]).getTime() - new Date(b[0]).getTime());
+
+  history.forEach(row => {
+    const habitId = row[1];
+    const newStatus = row[4];
+    const dayKey = getDayKey(row[0]);
+    if (!intervals[habitId]) {
+      intervals[habitId] = [];
+    }
+
+    const habitIntervals = intervals[habitId];
+    const openInterval = habitIntervals.length > 0 && habitIntervals[habitIntervals.length - 1].endKey === null ?
+      habitIntervals[habitIntervals.length - 1] : null;
+
+    if (newStatus === 'Paused' && !openInterval) {
+      habitIntervals.push({ startKey: dayKey, endKey: null });
+    } else if (newStatus !== 'Paused' && openInterval) {
+      openInterval.endKey = dayKey;
+    }
+  });
+
+  return intervals;
+}
+
+/**
+ * Checks whether a day falls inside one of a habit's paused intervals.
+ * @param {Array<{startKey: string, endKey: ?string}>} pausedIntervals The habit's paused intervals.
+ * @param {string} dayKey The day to check.
+ * @return {boolean} True if the habit was paused on that day.
+ */
+function isDayPaused(pausedIntervals, dayKey) {
+  if (!pausedIntervals) return false;
+  return pausedIntervals.some(interval => dayKey >= interval.startKey && (interval.endKey === null || dayKey < interval.endKey));
+}
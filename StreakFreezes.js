@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Per-habit streak freeze allowances, configured in the Habits_Main
+ * StreakAllowance column (e.g. "2 per month" or "1 miss per 7 days").
+ * A freeze covers one missed day (or week, for Weekly habits) without ending the streak.
+ */
+
+/**
+ * Parses a StreakAllowance cell.
+ * Accepted forms: "2 per month", "2 freezes per month", "1 per week", "1 miss per 7 days".
+ * @param {string} value The cell value.
+ * @return {?{count: number, period: string, days: number}} The allowance, or null if none is set.
+ */
+function parseStreakAllowance(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+
+  const match = text.match(/^(\d+)\s*(?:freezes?|misses?|skips?)?\s*(?:per|\/|every)\s*(month|week|(\d+)\s*days?)$/);
+  if (!match) {
+    log('WARN', `Unrecognised StreakAllowance '${value}'. Expected e.g. "2 per month" or "1 per 7 days".`);
+    return null;
+  }
+
+  const count = parseInt(match[1], 10);
+  if (count <= 0) return null;
+
+  if (match[2] === 'month') {
+    return { count: count, period: 'month', days: 0 };
+  }
+  return { count: count, period: 'days', days: match[2] === 'week' ? 7 : parseInt(match[3], 10) };
+}
+
+/**
+ * Checks whether another freeze may be used on a given day.
+ * @param {?Object} allowance The parsed allowance from parseStreakAllowance.
+ * @param {Array<string>} frozenKeys Days (or week starts) already covered by a freeze.
+ * @param {string} dayKey The day (or week start) that needs a freeze.
+ * @return {boolean} True if the allowance still has a freeze for that day.
+ */
+function canUseStreakFreeze(allowance, frozenKeys, dayKey) {
+  if (!allowance) return false;
+
+  let usedInWindow;
+  if (allowance.period === 'month') {
+    usedInWindow = frozenKeys.filter(key => key.substring(0, 7) === dayKey.substring(0, 7)).length;
+  } else {
+    usedInWindow = frozenKeys.filter(key => Math.abs(getDaysBetweenKeys(dayKey, key)) < allowance.days).length;
+  }
+  return usedInWindow < allowance.count;
+}
+
+/**
+ * Gets the number of freezes still available in the current window.
+ * @param {?Object} allowance The parsed allowance from parseStreakAllowance.
+ * @param {Array<string>} frozenKeys Days (or week starts) covered by a freeze in the current streak.
+ * @param {string} todayKey Today's day key.
+ * @return {number|string} Freezes left, or '-' if the habit has no allowance.
+ */
+function getStreakFreezesLeft(allowance, frozenKeys, todayKey) {
+  if (!allowance) return '-';
+
+  let usedInWindow;
+  if (allowance.period === 'month') {
+    usedInWindow = frozenKeys.filter(key => key.substring(0, 7) === todayKey.substring(0, 7)).length;
+  } else {
+    usedInWindow = frozenKeys.filter(key => getDaysBetweenKeys(key, todayKey) < allowance.days).length;
+  }
+  return Math.max(0, allowance.count - usedInWindow);
+}
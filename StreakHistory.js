@@ -0,0 +1,312 @@
+/**
+ * @fileoverview Full streak history and personal records per habit.
+ * Streaks are built by walking each habit's rollup forward from its start, using the
+ * same rules as the dashboard: off-days, paused and excused periods are skipped, misses
+ * covered by the streak allowance are frozen, and the last two days may still be unlogged.
+ */
+
+/**
+ * Header row of the Streak_History sheet.
+ */
+const STREAK_HISTORY_HEADERS = ['HabitID', 'HabitName', 'StartDate', 'EndDate', 'Length', 'Unit', 'IsCurrent'];
+
+/**
+ * Header row of the Personal_Records sheet.
+ */
+const PERSONAL_RECORDS_HEADERS = [
+  'HabitID', 'HabitName', 'LongestStreak', 'Unit', 'LongestStreakSetOn', 'LongestStreakImprovedAt',
+  'BestWeek', 'BestWeekCompletions', 'BestWeekImprovedAt', 'BestMonth', 'BestMonthCompletions', 'BestMonthImprovedAt',
+  'BestPeriodMeasure'
+];
+
+/**
+ * Builds every streak run of a habit, oldest first.
+ * @param {Object<string, Object>} habitDays The habit's days from loadRollupIndex
+ * @param {Object} rules How the habit is scored.
+ * @param {string} rules.startKey The first day to evaluate.
+ * @param {Object} rules.schedule The habit's schedule from getHabitSchedule.
+ * @param {Array<Object>} rules.pausedIntervals The habit's paused intervals from loadPausedIntervals.
+ * @param {?Object} rules.allowance The habit's streak allowance from parseStreakAllowance.
+ * @return {{runs: Array<Object>, longest: {length: number, setOnKey: ?string}}} The streak runs
+ *     ({startKey, endKey, length, frozenKeys, isCurrent}) and when the longest one was reached.
+ */
+function buildStreakRuns(habitDays, rules) {
+  const todayKey = getTodayKey();
+  const schedule = rules.schedule;
+  const isDaily = schedule.period === 'day';
+  const isLimit = schedule.direction === 'limit';
+  const currentPeriodKey = getPeriodStartKey(schedule, todayKey);
+  const runs = [];
+  const longest = { length: 0, setOnKey: null };
+  let current = null;
+  let pendingFrozen = [];
+
+  for (let unitKey = getPeriodStartKey(schedule, rules.startKey); unitKey <= currentPeriodKey; unitKey = getNextPeriodStartKey(schedule, unitKey)) {
+    let wasSuccessful, isSkipped, isGrace;
+    if (!isDaily) {
+      // A limit habit can still go over during the current period, so it only counts once the period ends
+      wasSuccessful = wasHabitSuccessfulInPeriod(habitDays, schedule, unitKey) && !(isLimit && unitKey === currentPeriodKey);
+      isSkipped = unitKey === currentPeriodKey || isPeriodPaused(rules.pausedIntervals, schedule, unitKey) ||
+        wasHabitExcusedInPeriod(habitDays, schedule, unitKey) || (isLimit && !hasHabitDataInPeriod(habitDays, schedule, unitKey));
+      isGrace = false;
+    } else if (!isDayDue(schedule, unitKey)) {
+      continue; // Off-days neither extend nor break a streak
+    } else {
+      wasSuccessful = wasHabitSuccessfulOnDate(habitDays, unitKey, schedule);
+      isSkipped = isDayPaused(rules.pausedIntervals, unitKey) || wasHabitExcusedOnDate(habitDays, unitKey) ||
+        (isLimit && !hasHabitDataOnDate(habitDays, unitKey, schedule)); // Unlogged days of a non-zero limit aren't scored
+      // Today and yesterday may simply not be logged yet
+      isGrace = getDaysBetweenKeys(unitKey, todayKey) <= 1 && !habitDays[unitKey];
+    }
+
+    if (wasSuccessful) {
+      if (!current) {
+        current = { startKey: unitKey, endKey: unitKey, length: 0, frozenKeys: [], isCurrent: false };
+      }
+      current.length++;
+      current.endKey = unitKey;
+      current.frozenKeys = current.frozenKeys.concat(pendingFrozen);
+      pendingFrozen = [];
+
+      if (current.length > longest.length) {
+        longest.length = current.length;
+        longest.setOnKey = unitKey;
+      }
+    } else if (isSkipped || isGrace || !current) {
+      continue;
+    } else if (canUseStreakFreeze(rules.allowance, current.frozenKeys.concat(pendingFrozen), unitKey)) {
+      pendingFrozen.push(unitKey); // Only kept if the streak carries on past it
+    } else {
+      runs.push(current);
+      current = null;
+      pendingFrozen = [];
+    }
+  }
+
+  if (current) {
+    current.frozenKeys = current.frozenKeys.concat(pendingFrozen);
+    current.isCurrent = true;
+    runs.push(current);
+  }
+
+  return { runs: runs, longest: longest };
+}
+
+/**
+ * Gets the current streak from a habit's streak runs.
+ * @param {Array<Object>} runs The runs from buildStreakRuns.
+ * @return {{streak: number, frozenKeys: Array<string>}} The current streak length and the
+ *     days (or period starts) on which a freeze was used.
+ */
+function getCurrentStreak(runs) {
+  const last = runs.length > 0 ? runs[runs.length - 1] : null;
+  if (!last || !last.isCurrent) {
+    return { streak: 0, frozenKeys: [] };
+  }
+  return { streak: last.length, frozenKeys: last.frozenKeys };
+}
+
+/**
+ * Finds the calendar week and month with the most completions, or the largest amount
+ * for habits measured by amount.
+ * @param {Object<string, Object>} habitDays The habit's days from loadRollupIndex
+ * @param {Object} schedule The habit's schedule from getHabitSchedule
+ * @param {string} weekStartsOn 'Monday' or 'Sunday'
+ * @return {{bestWeek: ?string, bestWeekCompletions: number, bestMonth: ?string, bestMonthCompletions: number}}
+ *     The best week (by its first day) and best month ('yyyy-MM'); ties keep the earliest.
+ */
+function findBestPeriods(habitDays, schedule, weekStartsOn) {
+  const weekTotals = {};
+  const monthTotals = {};
+  Object.keys(habitDays).forEach(dayKey => {
+    const weekKey = getWeekStartKey(dayKey, weekStartsOn);
+    const monthKey = dayKey.substring(0, 7);
+    const progress = schedule.measure === 'amount' ? habitDays[dayKey].amount : habitDays[dayKey].completions;
+    weekTotals[weekKey] = (weekTotals[weekKey] || 0) + progress;
+    monthTotals[monthKey] = (monthTotals[monthKey] || 0) + progress;
+  });
+
+  const best = { bestWeek: null, bestWeekCompletions: 0, bestMonth: null, bestMonthCompletions: 0 };
+  Object.keys(weekTotals).sort().forEach(weekKey => {
+    if (weekTotals[weekKey] > best.bestWeekCompletions) {
+      best.bestWeek = weekKey;
+      best.bestWeekCompletions = weekTotals[weekKey];
+    }
+  });
+  Object.keys(monthTotals).sort().forEach(monthKey => {
+    if (monthTotals[monthKey] > best.bestMonthCompletions) {
+      best.bestMonth = monthKey;
+      best.bestMonthCompletions = monthTotals[monthKey];
+    }
+  });
+  return best;
+}
+
+/**
+ * Rebuilds Streak_History and Personal_Records, for every habit or only for the given ones.
+ * Streaks are computed for every habit either way, since the dashboard shows them all.
+ * A record's ImprovedAt timestamp is only set when it beats a previously stored value,
+ * so the first build does not announce every habit as a new record.
+ * @param {Array<Array>} habitsData All rows from Habits_Main (without the header)
+ * @param {Object} rollupIndex The index from loadRollupIndex
+ * @param {Object} pausedIntervalsByHabit The intervals from loadPausedIntervals
+ * @param {Object} config The configuration from getConfig
+ * @param {Array<string>=} habitIds Only rebuild the rows of these habits (e.g. the ones a form
+ *     submission logged) and keep the others as they are; all habits if omitted
+ * @return {Object<string, Object>} The buildStreakRuns result for each HabitID
+ */
+function updateStreakHistory(habitsData, rollupIndex, pausedIntervalsByHabit, config, habitIds) {
+  const historySheet = getOrCreateSheetWithHeaders(SHEET_NAMES.STREAK_HISTORY, STREAK_HISTORY_HEADERS);
+  const recordsSheet = getOrCreateSheetWithHeaders(SHEET_NAMES.PERSONAL_RECORDS, PERSONAL_RECORDS_HEADERS);
+  // A partial update needs the other habits' rows from an earlier full build
+  const partial = Array.isArray(habitIds) && recordsSheet.getLastRow() > 1;
+
+  // Previous records, to detect improvements
+  const previousRecords = {};
+  if (recordsSheet.getLastRow() > 1) {
+    recordsSheet.getRange(2, 1, recordsSheet.getLastRow() - 1, PERSONAL_RECORDS_HEADERS.length).getValues().forEach(row => {
+      previousRecords[row[0]] = row;
+    });
+  }
+
+  const now = new Date();
+  const resultsByHabit = {};
+  const historyRows = [];
+  const recordRows = [];
+
+  habitsData.forEach(habit => {
+    const habitId = habit[0];
+    const habitName = habit[1];
+    if (!habitId) return;
+
+    const habitDays = rollupIndex[habitId] || {};
+    const loggedKeys = Object.keys(habitDays).sort();
+    let startKey = habit[2] ? getCalendarDayKey(habit[2]) : null; // Column C is StartDate
+    if (loggedKeys.length > 0 && (!startKey || loggedKeys[0] < startKey)) {
+      startKey = loggedKeys[0];
+    }
+    if (!startKey) return;
+
+    const schedule = getHabitSchedule(habit, config.weekStartsOn);
+    const result = buildStreakRuns(habitDays, {
+      startKey: startKey,
+      schedule: schedule,
+      pausedIntervals: pausedIntervalsByHabit[habitId] || [],
+      allowance: parseStreakAllowance(habit[10])
+    });
+    resultsByHabit[habitId] = result;
+    if (partial && habitIds.indexOf(habitId) === -1) return;
+
+    const unit = getPeriodUnit(schedule);
+    result.runs.forEach(run => {
+      historyRows.push([habitId, habitName, run.startKey, getPeriodEndKey(schedule, run.endKey), run.length, unit, run.isCurrent]);
+    });
+
+    // "Most completions" is not an achievement for limit habits
+    const best = schedule.direction === 'limit' ?
+      { bestWeek: null, bestWeekCompletions: 0, bestMonth: null, bestMonthCompletions: 0 } :
+      findBestPeriods(habitDays, schedule, config.weekStartsOn);
+    const previous = previousRecords[habitId];
+    const improvedAt = (value, previousIndex, improvedIndex) => {
+      if (!previous) return '';
+      return value > (previous[previousIndex] || 0) ? now : previous[improvedIndex];
+    };
+
+    recordRows.push([
+      habitId, habitName,
+      result.longest.length, unit, result.longest.setOnKey || '', improvedAt(result.longest.length, 2, 5),
+      best.bestWeek || '', best.bestWeekCompletions, improvedAt(best.bestWeekCompletions, 7, 8),
+      best.bestMonth || '', best.bestMonthCompletions, improvedAt(best.bestMonthCompletions, 10, 11),
+      schedule.measure === 'amount' ? (schedule.unit || 'total') : 'completions'
+    ]);
+  });
+
+  if (partial) {
+    writeDerivedRows(historySheet, STREAK_HISTORY_HEADERS, mergeDerivedRows(historySheet, STREAK_HISTORY_HEADERS, historyRows, habitIds), [3, 4]);
+    writeDerivedRows(recordsSheet, PERSONAL_RECORDS_HEADERS, mergeDerivedRows(recordsSheet, PERSONAL_RECORDS_HEADERS, recordRows, habitIds), [5, 7, 10]);
+    log('INFO', `Streak history updated for ${habitIds.join(', ')}: ${historyRows.length} streaks.`);
+  } else {
+    writeDerivedRows(historySheet, STREAK_HISTORY_HEADERS, historyRows, [3, 4]);
+    writeDerivedRows(recordsSheet, PERSONAL_RECORDS_HEADERS, recordRows, [5, 7, 10]);
+    log('INFO', `Streak history updated: ${historyRows.length} streaks across ${recordRows.length} habits.`);
+  }
+
+  return resultsByHabit;
+}
+
+/**
+ * Merges freshly built rows for some habits into a derived sheet's existing rows.
+ * Each updated habit's rows take the place of its old ones; the other habits' rows are kept.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The derived sheet (HabitID in column A).
+ * @param {Array<string>} headers The header row.
+ * @param {Array<Array>} newRows The new rows of the updated habits.
+ * @param {Array<string>} habitIds The updated habits.
+ * @return {Array<Array>} All data rows, ready for writeDerivedRows.
+ */
+function mergeDerivedRows(sheet, headers, newRows, habitIds) {
+  const existingRows = sheet.getLastRow() > 1 ? sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues() : [];
+  const merged = [];
+  const placed = {};
+  existingRows.forEach(row => {
+    if (!row[0]) return;
+    if (habitIds.indexOf(row[0]) === -1) {
+      merged.push(row);
+    } else if (!placed[row[0]]) {
+      placed[row[0]] = true;
+      newRows.filter(newRow => newRow[0] === row[0]).forEach(newRow => merged.push(newRow));
+    }
+  });
+  // Habits that had no rows yet go at the end
+  newRows.filter(newRow => !placed[newRow[0]]).forEach(newRow => merged.push(newRow));
+  return merged;
+}
+
+/**
+ * Replaces all data rows of a derived sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to overwrite.
+ * @param {Array<string>} headers The header row.
+ * @param {Array<Array>} rows The new data rows.
+ * @param {Array<number>} textColumns 1-based columns holding day keys, kept as plain text
+ *     so Sheets doesn't convert them to dates
+ */
+function writeDerivedRows(sheet, headers, rows, textColumns) {
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).clearContent();
+  }
+  if (rows.length > 0) {
+    textColumns.forEach(column => sheet.getRange(2, column, rows.length, 1).setNumberFormat('@'));
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  }
+}
+
+/**
+ * Lists the personal records that improved since a given time, for the accountability email.
+ * @param {Date} since Only records improved after this moment are returned.
+ * @param {Array<string>=} habitIds Only include these habits (e.g. one person's); all habits if omitted.
+ * @return {Array<string>} Human-readable descriptions of the new records.
+ */
+function getNewPersonalRecords(since, habitIds) {
+  const recordsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.PERSONAL_RECORDS);
+  if (!recordsSheet || recordsSheet.getLastRow() < 2) return [];
+
+  const sinceTime = since && !isNaN(since.getTime()) ? since.getTime() : 0;
+  const isNew = value => value !== '' && value !== null && new Date(value).getTime() > sinceTime;
+
+  const newRecords = [];
+  recordsSheet.getRange(2, 1, recordsSheet.getLastRow() - 1, PERSONAL_RECORDS_HEADERS.length).getValues().forEach(row => {
+    if (habitIds && habitIds.indexOf(row[0]) === -1) return;
+    const habitName = row[1];
+    const measure = row[12] || 'completions'; // Column M is BestPeriodMeasure
+    if (isNew(row[5])) {
+      newRecords.push(`${habitName}: longest streak ever, ${row[2]} ${row[3]}`);
+    }
+    if (isNew(row[8])) {
+      newRecords.push(`${habitName}: best week ever, ${formatAmount(row[7])} ${measure} (week of ${row[6]})`);
+    }
+    if (isNew(row[11])) {
+      newRecords.push(`${habitName}: best month ever, ${formatAmount(row[10])} ${measure} (${row[9]})`);
+    }
+  });
+  return newRecords;
+}
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Progressive targets ("ramps") read from the Target_Ramps sheet.
+ * Each row raises (or lowers) a habit's target from a date on, e.g. to ramp meditation
+ * from 1x up to 2x on 2026-11-01 and 3x on 2026-12-01:
+ *   H001 | 2026-11-01 | 2
+ *   H001 | 2026-12-01 | 3
+ * Before its first step a habit uses its own target from Habits_Main (FrequencyPerPeriod,
+ * a "N times per week" Schedule, or TargetAmount). Weekly and monthly habits use the
+ * target in effect on the first day of each period, so a step-up never changes a
+ * period that is already under way.
+ */
+
+/**
+ * Header row of the Target_Ramps sheet.
+ */
+const TARGET_RAMPS_HEADERS = ['HabitID', 'FromDate', 'Target'];
+
+/**
+ * Cached ramp steps for the current execution.
+ * Avoids re-reading the Target_Ramps sheet for every habit schedule.
+ */
+let targetRamps_ = null;
+
+/**
+ * Gets the Target_Ramps sheet, creating it with headers if it does not exist.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The target ramps sheet.
+ */
+function getTargetRampsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let rampsSheet = ss.getSheetByName(SHEET_NAMES.TARGET_RAMPS);
+  if (!rampsSheet) {
+    rampsSheet = ss.insertSheet(SHEET_NAMES.TARGET_RAMPS);
+    rampsSheet.getRange(1, 1, 1, TARGET_RAMPS_HEADERS.length).setValues([TARGET_RAMPS_HEADERS]).setFontWeight('bold');
+    rampsSheet.getRange('B1').setNote('The first day the new target applies. Weekly and monthly habits switch at the first period that starts on or after it');
+    rampsSheet.getRange('C1').setNote('Completions per period, or the amount for habits with a TargetAmount');
+    rampsSheet.setFrozenRows(1);
+    log('INFO', `Created new sheet: ${SHEET_NAMES.TARGET_RAMPS}`);
+  }
+  return rampsSheet;
+}
+
+/**
+ * Loads every habit's ramp steps from the Target_Ramps sheet.
+ * Rows with a missing HabitID or date, or a target that is not a number of at least 0, are skipped.
+ * @return {Object<string, Array<{fromKey: string, target: number}>>} Steps by HabitID, oldest first.
+ */
+function loadTargetRamps() {
+  if (targetRamps_) {
+    return targetRamps_;
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const rampsSheet = ss.getSheetByName(SHEET_NAMES.TARGET_RAMPS);
+  const ramps = {};
+  if (rampsSheet && rampsSheet.getLastRow() >= 2) {
+    rampsSheet.getRange(2, 1, rampsSheet.getLastRow() - 1, TARGET_RAMPS_HEADERS.length).getValues().forEach((row, index) => {
+      const habitId = String(row[0] || '').trim();
+      const target = row[2] === '' ? NaN : parseFloat(row[2]);
+      if (!habitId || !row[1]) return;
+      if (isNaN(target) || target < 0) {
+        log('WARN', `Skipping Target_Ramps row ${index + 2}: '${row[2]}' is not a valid target.`);
+        return;
+      }
+      if (!ramps[habitId]) {
+        ramps[habitId] = [];
+      }
+      ramps[habitId].push({ fromKey: getCalendarDayKey(row[1]), target: target });
+    });
+  }
+
+  Object.keys(ramps).forEach(habitId => ramps[habitId].sort((a, b) => a.fromKey < b.fromKey ? -1 : a.fromKey > b.fromKey ? 1 : 0));
+  targetRamps_ = ramps;
+  return targetRamps_;
+}
+
+/**
+ * Gets the target a schedule expects on a day, taking its ramp into account.
+ * For weekly and monthly habits this is the target of the period the day falls in.
+ * @param {Object} schedule The schedule from getHabitSchedule.
+ * @param {string=} dayKey The day; without one the habit's base target is returned.
+ * @return {number} The target in effect.
+ */
+function getTargetOnDate(schedule, dayKey) {
+  if (!dayKey || !schedule.ramp || schedule.ramp.length === 0) return schedule.target;
+
+  const effectiveKey = schedule.period === 'day' ? dayKey : getPeriodStartKey(schedule, dayKey);
+  let target = schedule.target;
+  schedule.ramp.forEach(step => {
+    if (step.fromKey <= effectiveKey) target = step.target;
+  });
+  return target;
+}
+
+/**
+ * Describes where a habit is in its ramp on a day.
+ * Phase 1 is the base target; each ramp step starts the next phase.
+ * @param {Object} schedule The schedule from getHabitSchedule.
+ * @param {string} dayKey The day, usually today.
+ * @return {?{phase: number, phases: number, target: number, nextStepKey: ?string, nextTarget: ?number}}
+ *     The current phase, or null if the habit has no ramp.
+ */
+function getRampPhase(schedule, dayKey) {
+  if (!schedule.ramp || schedule.ramp.length === 0) return null;
+
+  const effectiveKey = schedule.period === 'day' ? dayKey : getPeriodStartKey(schedule, dayKey);
+  const stepsTaken = schedule.ramp.filter(step => step.fromKey <= effectiveKey).length;
+  const nextStep = schedule.ramp[stepsTaken] || null;
+  return {
+    phase: stepsTaken + 1,
+    phases: schedule.ramp.length + 1,
+    target: getTargetOnDate(schedule, dayKey),
+    nextStepKey: nextStep ? getRampStepStartKey(schedule, nextStep) : null,
+    nextTarget: nextStep ? nextStep.target : null
+  };
+}
+
+/**
+ * Gets the day a ramp step takes effect: its FromDate for day-scored habits, or the
+ * first period starting on or after it for weekly and monthly habits.
+ * @param {Object} schedule The schedule from getHabitSchedule.
+ * @param {{fromKey: string, target: number}} step The ramp step.
+ * @return {string} The day key the new target starts on.
+ */
+function getRampStepStartKey(schedule, step) {
+  if (schedule.period === 'day') return step.fromKey;
+  const periodKey = getPeriodStartKey(schedule, step.fromKey);
+  return periodKey === step.fromKey ? periodKey : getNextPeriodStartKey(schedule, periodKey);
+}
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Habit template library.
+ * The Templates sheet lists predefined habits, optionally grouped into packs
+ * (e.g. "Morning Routine"). The import command adds chosen templates or whole packs to
+ * Habits_Main as Active habits starting today, then refreshes the form dropdown.
+ */
+
+/**
+ * Header row of the Templates sheet.
+ */
+const TEMPLATES_HEADERS = ['Pack', 'HabitName', 'Frequency', 'FrequencyPerPeriod', 'DurationDays', 'Category', 'Notes'];
+
+/**
+ * Templates written to a newly created Templates sheet, as a starting point.
+ */
+const DEFAULT_TEMPLATES = [
+  ['Morning Routine', 'Meditate', 'Daily', 1, 30, 'Mindfulness', '10 minutes after waking up'],
+  ['Morning Routine', 'Make the bed', 'Daily', 1, 30, 'Home', ''],
+  ['Morning Routine', 'Drink a glass of water', 'Daily', 1, 30, 'Health', 'Before coffee'],
+  ['Fitness', 'Workout', 'Weekly', 3, 60, 'Fitness', 'Any session of 30 minutes or more'],
+  ['Fitness', 'Walk 10,000 steps', 'Daily', 1, 60, 'Fitness', ''],
+  ['Learning', 'Read', 'Daily', 1, 30, 'Learning', 'At least 10 pages'],
+  ['Learning', 'Practice a language', 'Weekly', 4, 90, 'Learning', '']
+];
+
+/**
+ * Gets the Templates sheet, creating it with headers and the default templates if it does not exist.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The templates sheet.
+ */
+function getTemplatesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let templatesSheet = ss.getSheetByName(SHEET_NAMES.TEMPLATES);
+  if (!templatesSheet) {
+    templatesSheet = ss.insertSheet(SHEET_NAMES.TEMPLATES);
+    templatesSheet.getRange(1, 1, 1, TEMPLATES_HEADERS.length).setValues([TEMPLATES_HEADERS]).setFontWeight('bold');
+    templatesSheet.getRange(2, 1, DEFAULT_TEMPLATES.length, TEMPLATES_HEADERS.length).setValues(DEFAULT_TEMPLATES);
+    templatesSheet.getRange('A1').setNote('Optional pack name. Importing a pack adds all of its templates');
+    templatesSheet.getRange('E1').setNote('How many days the habit runs, used to set its EndDate. Leave blank for no end date');
+    templatesSheet.setFrozenRows(1);
+    log('INFO', `Created new sheet: ${SHEET_NAMES.TEMPLATES}`);
+  }
+  return templatesSheet;
+}
+
+/**
+ * Loads the templates from the Templates sheet.
+ * Rows without a HabitName, with a Frequency other than Daily, Weekly or Monthly, or with a
+ * FrequencyPerPeriod below 1 are skipped; a blank FrequencyPerPeriod means 1.
+ * @return {Array<{pack: string, habitName: string, frequency: string, frequencyPerPeriod: number,
+ *     durationDays: ?number, category: string, notes: string}>} The templates, in sheet order.
+ */
+function loadHabitTemplates() {
+  const templatesSheet = getTemplatesSheet();
+  if (templatesSheet.getLastRow() < 2) return [];
+
+  const templates = [];
+  templatesSheet.getRange(2, 1, templatesSheet.getLastRow() - 1, TEMPLATES_HEADERS.length).getValues().forEach((row, index) => {
+    const habitName = String(row[1] || '').trim();
+    if (!habitName) return;
+
+    const frequency = String(row[2] || 'Daily').trim();
+    if (['Daily', 'Weekly', 'Monthly'].indexOf(frequency) === -1) {
+      log('WARN', `Skipping Templates row ${index + 2}: Frequency '${frequency}' should be Daily, Weekly or Monthly.`);
+      return;
+    }
+
+    // Templates are build habits, which need at least one completion per period
+    const frequencyPerPeriod = row[3] === '' ? 1 : parseInt(row[3], 10);
+    if (!(frequencyPerPeriod >= 1)) {
+      log('WARN', `Skipping Templates row ${index + 2}: FrequencyPerPeriod '${row[3]}' should be a whole number from 1.`);
+      return;
+    }
+
+    const durationDays = parseInt(row[4], 10);
+    templates.push({
+      pack: String(row[0] || '').trim(),
+      habitName: habitName,
+      frequency: frequency,
+      frequencyPerPeriod: frequencyPerPeriod,
+      durationDays: durationDays > 0 ? durationDays : null,
+      category: String(row[5] || '').trim(),
+      notes: String(row[6] || '').trim()
+    });
+  });
+  return templates;
+}
+
+/**
+ * Menu command: lists the templates and packs, then imports the chosen ones.
+ */
+function importHabitTemplatesFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const templates = loadHabitTemplates();
+    if (templates.length === 0) {
+      ui.alert('Import Habit Templates', `There are no templates yet. Add some to the ${SHEET_NAMES.TEMPLATES} sheet first.`, ui.ButtonSet.OK);
+      return;
+    }
+
+    const packs = templates.map(template => template.pack).filter((pack, index, all) => pack && all.indexOf(pack) === index);
+    const templateList = templates.map((template, index) =>
+      `${index + 1}. ${template.habitName} (${template.frequency}${template.pack ? `, ${template.pack}` : ''})`).join('\n');
+    const input = promptForText(ui, 'Import Habit Templates',
+      `${packs.length > 0 ? `Packs: ${packs.join(', ')}\n\n` : ''}${templateList}\n\n` +
+      'Enter template numbers and/or pack names, comma-separated:');
+    if (input === null) return;
+
+    const selection = resolveTemplatesFromInput(input, templates);
+    if (selection.unknown.length > 0) {
+      ui.alert('Import Habit Templates', `No template or pack matches: ${selection.unknown.join(', ')}`, ui.ButtonSet.OK);
+      return;
+    }
+    if (selection.templates.length === 0) {
+      ui.alert('Import Habit Templates', 'Nothing was selected.', ui.ButtonSet.OK);
+      return;
+    }
+
+    const result = importHabitTemplates(selection.templates);
+    if (result.added.length > 0) {
+      updateFormDropdownAndStatus();
+    }
+
+    let message = `Added ${result.added.length} habits${result.added.length > 0 ? `: ${result.added.join(', ')}` : '.'}`;
+    if (result.skipped.length > 0) {
+      message += `\n\nSkipped ${result.skipped.length} already in Habits_Main: ${result.skipped.join(', ')}`;
+    }
+    ui.alert('Import Habit Templates', message, ui.ButtonSet.OK);
+
+  } catch (error) {
+    log('ERROR', 'Failed to import habit templates:', error.message, error.stack);
+    ui.alert('Import Failed', `Error: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Resolves the user's selection to templates. Each comma-separated part is a template
+ * number from the list, a pack name or a template name.
+ * @param {string} input The user's input.
+ * @param {Array<Object>} templates The templates from loadHabitTemplates.
+ * @return {{templates: Array<Object>, unknown: Array<string>}} The chosen templates
+ *     (without duplicates) and the parts that matched nothing.
+ */
+function resolveTemplatesFromInput(input, templates) {
+  const selected = [];
+  const unknown = [];
+  const add = template => {
+    if (selected.indexOf(template) === -1) selected.push(template);
+  };
+
+  input.split(',').map(token => token.trim()).filter(token => token).forEach(token => {
+    const lowerToken = token.toLowerCase();
+    if (/^\d+$/.test(token) && templates[parseInt(token, 10) - 1]) {
+      add(templates[parseInt(token, 10) - 1]);
+      return;
+    }
+
+    const packTemplates = templates.filter(template => template.pack.toLowerCase() === lowerToken);
+    const namedTemplate = templates.find(template => template.habitName.toLowerCase() === lowerToken);
+    if (packTemplates.length > 0) {
+      packTemplates.forEach(add);
+    } else if (namedTemplate) {
+      add(namedTemplate);
+    } else {
+      unknown.push(token);
+    }
+  });
+
+  return { templates: selected, unknown: unknown };
+}
+
+/**
+ * Adds templates to Habits_Main as Active habits starting today.
+ * Templates whose name matches a habit that isn't Completed are skipped.
+ * @param {Array<Object>} templates The templates from loadHabitTemplates.
+ * @return {{added: Array<string>, skipped: Array<string>}} The names added and skipped.
+ */
+function importHabitTemplates(templates) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const habitsSheet = ss.getSheetByName(SHEET_NAMES.HABITS);
+  const existingNames = habitsSheet.getLastRow() > 1 ?
+    habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, 7).getValues()
+      .filter(row => row[0] && row[6] !== 'Completed')
+      .map(row => String(row[1]).trim().toLowerCase()) : [];
+
+  const timeZone = getTrackerTimeZone();
+  const todayKey = getTodayKey();
+  const startDate = Utilities.parseDate(todayKey, timeZone, 'yyyy-MM-dd');
+  const result = { added: [], skipped: [] };
+
+  templates.forEach(template => {
+    if (existingNames.indexOf(template.habitName.toLowerCase()) !== -1) {
+      result.skipped.push(template.habitName);
+      return;
+    }
+
+    const habitId = getNextHabitID();
+    if (habitId === 'ERROR') {
+      throw new Error(`Could not generate a HabitID for ${template.habitName}`);
+    }
+
+    const endDate = template.durationDays ?
+      Utilities.parseDate(addDaysToKey(todayKey, template.durationDays - 1), timeZone, 'yyyy-MM-dd') : '';
+    const row = [
+      habitId, template.habitName, startDate, endDate, template.frequency, template.frequencyPerPeriod,
+      'Active', new Date(), template.notes,
+      '', '', '', '', '', '', // Columns J to O (form button column and optional settings)
+      template.category       // Column P is Category
+    ];
+    habitsSheet.getRange(habitsSheet.getLastRow() + 1, 1, 1, row.length).setValues([row]);
+    recordStatusChange(habitId, template.habitName, '', 'Active');
+
+    existingNames.push(template.habitName.toLowerCase());
+    result.added.push(template.habitName);
+    log('INFO', `Imported template '${template.habitName}' as ${habitId}.`);
+  });
+
+  return result;
+}
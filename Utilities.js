@@ -24,118 +24,467 @@ function log(level, ...message) {
   console.log(`[${timestamp}] [${level}]`, ...message);
 }
 
+/**
+ * Gets a sheet by name, creating it with a bold, frozen header row if it does not exist.
+ * @param {string} sheetName The sheet name.
+ * @param {Array<string>} headers The header row.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The sheet.
+ */
+function getOrCreateSheetWithHeaders(sheetName, headers) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    log('INFO', `Created new sheet: ${sheetName}`);
+  }
+  return sheet;
+}
+
+/**
+ * Gets the first answer for a question from form-style named values.
+ * @param {Object} entryData The named values from the form submission.
+ * @param {string} title The question title.
+ * @return {string} The answer, or an empty string if the question is absent.
+ */
+function getNamedValue(entryData, title) {
+  const values = entryData[title];
+  return (values && values.length > 0) ? values[0] : '';
+}
+
+/**
+ * Builds form-style named values for entries that do not come from the form
+ * (e.g. backfills), so they go through the same processNewEntry logic.
+ * @param {Object} fields The entry fields.
+ * @param {string} fields.habitName The habit name.
+ * @param {string=} fields.habitId Optional HabitID; when given the entry resolves by ID.
+ * @param {string=} fields.status The completion status (defaults to 'Completed').
+ * @param {number=} fields.count The number of completions (defaults to 1).
+ * @param {string=} fields.comments Optional comments.
+ * @param {string=} fields.dayKey Optional day the entry is for (defaults to today).
+ * @param {string=} fields.excusedReason Optional reason for an 'Excused' entry.
+ * @param {number=} fields.amount Optional amount, for quantitative habits.
+ * @param {string=} fields.person Optional person the entry is attributed to.
+ * @param {string=} fields.responseId Optional form response ID the entry comes from.
+ * @param {string=} fields.editUrl Optional edit URL of that form response.
+ * @param {boolean=} fields.allowRepeat True when logging the same entry twice in a row is intended
+ *     (e.g. quick-log taps), so it isn't rejected as a duplicate submission.
+ * @return {Object} Named values in the same shape as a form submission.
+ */
+function buildEntryData(fields) {
+  return {
+    'Habit Selection': [fields.habitId ? formatHabitChoice(fields.habitId, fields.habitName) : fields.habitName],
+    'Completion Status': [fields.status || 'Completed'],
+    'How many times completed today?': [String(fields.count === undefined || fields.count === null ? 1 : fields.count)],
+    'Comments': [fields.comments || ''],
+    'Date completed': [fields.dayKey || ''],
+    'Excused reason': [fields.excusedReason || ''],
+    'Amount': [fields.amount !== undefined && fields.amount !== null ? String(fields.amount) : ''],
+    'Who are you?': [fields.person || ''],
+    'Response ID': [fields.responseId || ''],
+    'Edit URL': [fields.editUrl || ''],
+    'Allow Repeat': [fields.allowRepeat ? 'true' : '']
+  };
+}
+
 /**
  * Processes a new form entry for frequency-based habit tracking
+ * The optional 'Date completed' answer lets an entry be logged for an earlier day.
+ * Column A holds the day the entry counts for; column I keeps the real submission time.
+ * The habit is resolved by the HabitID tag of its form choice, or by its current or an
+ * old name (see findHabitRowForChoice), and always logged under its current name.
+ * The entry is attributed to the person from "Who are you?" or the respondent's email
+ * (see resolveSubmittingPerson); a person can't log another person's habit.
+ * An edited form response (same 'Response ID' and habit as an existing row) updates
+ * that row in place instead of appending a new one (see EntryEdits.js).
+ * Exact duplicates of an existing entry are rejected; near-duplicates are recorded but
+ * listed on Duplicate_Review (see Duplicates.js).
  * @param {Object} entryData The named values from the form submission.
+ * @return {{accepted: boolean, reason: string, habitId: (string|undefined), dayKey: (string|undefined),
+ *     rowNumber: (number|undefined), updated: (boolean|undefined)}} Whether the entry was recorded (and on
+ *     which Daily_Tracking row, and whether an existing row was updated), and why not if it was rejected.
  */
 function processNewEntry(entryData) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const trackingSheet = ss.getSheetByName(SHEET_NAMES.TRACKING);
   const habitsSheet = ss.getSheetByName(SHEET_NAMES.HABITS);
   
-  const habitName = entryData['Habit Selection'][0];
-  const completionStatus = entryData['Completion Status'][0] || entryData['Success/Miss'][0]; // Handle both old and new forms
-  const completionCount = entryData['How many times completed today?'][0] || '1'; // Default to 1 for backward compatibility
-  const comments = entryData['Comments'][0] || '';
-  const entryTimestamp = new Date();
+  const habitChoice = getNamedValue(entryData, 'Habit Selection');
+  const completionStatus = getNamedValue(entryData, 'Completion Status') || getNamedValue(entryData, 'Success/Miss') || 'Completed'; // Handle both old and new forms; the question is optional
+  const completionCount = getNamedValue(entryData, 'How many times completed today?') || '1'; // Default to 1 for backward compatibility
+  const comments = getNamedValue(entryData, 'Comments');
+  const dateCompleted = getNamedValue(entryData, 'Date completed');
+  const excusedReason = getNamedValue(entryData, 'Excused reason');
+  const amountAnswer = String(getNamedValue(entryData, 'Amount')).trim();
+  const person = resolveSubmittingPerson(entryData, loadPeople());
+  const responseId = getNamedValue(entryData, 'Response ID');
+  const editUrl = getNamedValue(entryData, 'Edit URL');
+  const allowRepeat = getNamedValue(entryData, 'Allow Repeat') === 'true';
+  const submissionTimestamp = new Date();
   
-  // Find the HabitID and target frequency for the submitted habit
-  const habitData = habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, 7).getValues(); // Get through column G (Status)
-  const habitRow = habitData.find(row => row[1] === habitName);
+  // Find the HabitID and schedule for the submitted habit
+  const habitData = habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, 17).getValues(); // Get through column Q (Owner)
+  const habitRow = findHabitRowForChoice(habitData, habitChoice, person);
   
   if (!habitRow) {
-    log('ERROR', `Habit not found for habit name: ${habitName}`);
-    return;
+    log('ERROR', `Habit not found for habit selection: ${habitChoice}`);
+    return { accepted: false, reason: `Habit not found: ${habitChoice}` };
   }
   
   const habitId = habitRow[0];
-  const frequency = habitRow[4] || 'Daily'; // Column E is Frequency
-  const targetFrequencyPerPeriod = habitRow[5] || 1; // Column F is FrequencyPerPeriod
+  const habitName = habitRow[1];
+  const owner = getHabitOwner(habitRow);
+  
+  if (person && owner && !isSamePerson(person, owner)) {
+    log('WARN', `Rejected entry for ${habitName}: it belongs to ${owner}, not ${person}`);
+    return { accepted: false, reason: `${habitName} belongs to ${owner}`, habitId: habitId };
+  }
+  const schedule = getHabitSchedule(habitRow, getConfig().weekStartsOn);
+  const frequency = schedule.label;
+  
+  // Work out which day the entry is for, guarding against future and pre-start dates
+  const todayKey = getTodayKey();
+  let dayKey = todayKey;
+  let keptTimestamp = null;
+  if (!dateCompleted && responseId) {
+    // An edited response with no date answer stays on the day it was first logged for
+    const editedRowNumber = findTrackingRowForResponse(trackingSheet, responseId, habitId);
+    if (editedRowNumber !== -1) {
+      keptTimestamp = trackingSheet.getRange(editedRowNumber, 1).getValue(); // Column A is Timestamp
+      dayKey = getDayKey(keptTimestamp);
+    }
+  }
+  if (dateCompleted) {
+    dayKey = parseDayKey(dateCompleted);
+    if (!dayKey) {
+      log('WARN', `Rejected entry for ${habitName}: unrecognised date '${dateCompleted}'`);
+      return { accepted: false, reason: `Unrecognised date: ${dateCompleted}`, habitId: habitId };
+    }
+  }
+  
+  if (dayKey > todayKey) {
+    log('WARN', `Rejected entry for ${habitName}: ${dayKey} is in the future`);
+    return { accepted: false, reason: `${dayKey} is in the future`, habitId: habitId, dayKey: dayKey };
+  }
+  
+  if (habitRow[2] && dayKey < getCalendarDayKey(habitRow[2])) { // Column C is StartDate
+    log('WARN', `Rejected entry for ${habitName}: ${dayKey} is before the habit's StartDate`);
+    return { accepted: false, reason: `${dayKey} is before the habit started`, habitId: habitId, dayKey: dayKey };
+  }
+  
+  // Entries on off-days are kept as extra completions but are not scored (see isDayDue)
+  if (!isDayDue(schedule, dayKey)) {
+    log('INFO', `${habitName} is not due on ${dayKey} (${schedule.label}); logging it as an off-day entry`);
+  }
+  
+  const entryTimestamp = keptTimestamp || (dayKey === todayKey ? submissionTimestamp : getTimestampForDayKey(dayKey));
+  const targetFrequencyPerPeriod = getTargetOnDate(schedule, dayKey); // Follows the habit's Target_Ramps plan
   
   // Parse completion count
   let actualCount = 1;
   if (completionCount === '5+') {
     actualCount = 5;
   } else {
-    actualCount = parseInt(completionCount) || 1;
+    const parsedCount = parseInt(completionCount, 10);
+    actualCount = isNaN(parsedCount) ? 1 : Math.max(0, parsedCount); // 0 is a valid count for limit habits
+  }
+  
+  // Parse the amount for quantitative habits (e.g. pages read, km run)
+  let amount = 0;
+  if (amountAnswer) {
+    amount = parseFloat(amountAnswer.replace(',', '.'));
+    if (isNaN(amount) || amount < 0) {
+      log('WARN', `Rejected entry for ${habitName}: unrecognised amount '${amountAnswer}'`);
+      return { accepted: false, reason: `Unrecognised amount: ${amountAnswer}`, habitId: habitId, dayKey: dayKey };
+    }
+  } else if (schedule.measure === 'amount' && completionStatus !== 'Excused') {
+    log('WARN', `No amount given for quantitative habit ${habitName}; recording 0 ${schedule.unit}`);
+  }
+  
+  // Excused entries (sick, travel, rest day) record no completions; they only mark the day
+  const isExcused = completionStatus === 'Excused';
+  if (isExcused) {
+    actualCount = 0;
+    amount = 0;
   }
   
-  // Determine success based on completion status and count vs target
+  // Determine success based on completion status and count (or amount) vs target
   let success = false;
   if (completionStatus === 'Completed' || completionStatus === 'Success') {
-    success = actualCount >= targetFrequencyPerPeriod;
+    success = meetsHabitTarget(schedule, schedule.measure === 'amount' ? amount : actualCount, dayKey);
   }
   
   // Append new row to the tracking sheet with frequency-based data
   const newRow = [
-    entryTimestamp,              // A: Timestamp
+    entryTimestamp,              // A: Timestamp (the day the entry counts for)
     habitId,                     // B: HabitID  
     habitName,                   // C: HabitName
-    frequency,                   // D: Frequency (Daily/Weekly)
+    frequency,                   // D: Frequency (the habit's schedule, e.g. Daily or Mon/Wed/Fri)
     targetFrequencyPerPeriod,    // E: TargetFrequencyPerPeriod
     actualCount,                 // F: ActualCompletions
-    success,                     // G: Success (true if actualCount >= targetFrequencyPerPeriod)
+    success,                     // G: Success (actualCount or amount met the target; stayed within it for limit habits)
     comments,                    // H: Comments
-    entryTimestamp               // I: CreatedDate
+    submissionTimestamp,         // I: CreatedDate (when the entry was actually submitted)
+    completionStatus,            // J: CompletionStatus (Completed/Missed/Excused)
+    isExcused ? excusedReason : '', // K: ExcusedReason
+    amountAnswer ? amount : '',  // L: Amount (quantitative habits)
+    owner || person || '',       // M: Owner (the person the entry is attributed to)
+    responseId,                  // N: ResponseID (the form response, if any)
+    editUrl,                     // O: EditURL (link to edit that response)
+    false,                       // P: Deleted (voided entries are left out of every metric)
+    ''                           // Q: Fingerprint (filled in below)
   ];
+  newRow[TRACKING_FINGERPRINT_COLUMN - 1] = getEntryFingerprint(newRow);
   
-  trackingSheet.appendRow(newRow);
-  log('INFO', `New frequency-based entry appended to ${SHEET_NAMES.TRACKING}:`, JSON.stringify(newRow));
-  log('INFO', `Habit: ${habitName}, Frequency: ${frequency}, Target: ${targetFrequencyPerPeriod}x, Actual: ${actualCount}x, Success: ${success}`);
+  // Hold the script lock from the duplicate check until the row is written, so concurrent
+  // form, web app, API and email submissions can't both pass the check or get each other's row number
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  let duplicate;
+  let rowNumber;
+  let previousRow = null;
+  try {
+    // Reject the same entry submitted twice (a retried trigger or a double-tapped submit)
+    duplicate = findDuplicateEntry(trackingSheet, newRow, allowRepeat);
+    if (duplicate && duplicate.type === 'exact') {
+      log('WARN', `Rejected entry for ${habitName}: duplicate of ${SHEET_NAMES.TRACKING} row ${duplicate.rowNumber}`);
+      return { accepted: false, reason: `Duplicate of row ${duplicate.rowNumber}`, habitId: habitId, dayKey: dayKey };
+    }
+
+    // An edited form response replaces the row it logged before
+    rowNumber = findTrackingRowForResponse(trackingSheet, responseId, habitId);
+    if (rowNumber !== -1) {
+      previousRow = trackingSheet.getRange(rowNumber, 1, 1, newRow.length).getValues()[0];
+      newRow[8] = previousRow[8]; // Keep the original CreatedDate
+      trackingSheet.getRange(rowNumber, 1, 1, newRow.length).setValues([newRow]);
+    } else {
+      trackingSheet.appendRow(newRow);
+      rowNumber = trackingSheet.getLastRow();
+    }
+    SpreadsheetApp.flush(); // Make the row visible to the next lock holder
+  } finally {
+    lock.releaseLock();
+  }
+
+  // The rollup takes the script lock itself
+  const updated = previousRow !== null;
+  if (updated) {
+    removeTrackingRowFromRollup(previousRow);
+  }
+  updateRollupForEntry(habitId, dayKey, actualCount, isExcused, amount);
+  if (duplicate) {
+    recordDuplicateForReview(habitId, habitName, dayKey, rowNumber, duplicate.rowNumber, 'Another entry for the same habit and day within the duplicate window');
+  }
+  log('INFO', `${updated ? `Edited response updated row ${rowNumber} of` : 'New frequency-based entry appended to'} ${SHEET_NAMES.TRACKING}:`, JSON.stringify(newRow));
+  log('INFO', `Habit: ${habitName}, Day: ${dayKey}, Frequency: ${frequency}, Target: ${formatScheduleTarget(schedule, dayKey)}, Actual: ${actualCount}x, Amount: ${amount}, Success: ${success}`);
+  
+  return { accepted: true, reason: '', habitId: habitId, dayKey: dayKey, rowNumber: rowNumber, updated: updated };
+}
+
+/**
+ * Processes a whole form submission, which may log one habit through 'Habit Selection',
+ * several through the 'Daily Checklist' grid, or both (see splitSubmissionIntoEntries).
+ * When an edited response no longer logs an entry it logged before, that row is voided.
+ * @param {Object} entryData The named values from the form submission.
+ * @return {Array<Object>} The processNewEntry result for each habit, in order.
+ */
+function processFormSubmission(entryData) {
+  const entries = splitSubmissionIntoEntries(entryData);
+  if (entries.length === 0) {
+    log('WARN', 'Form submission did not select any habit.');
+  }
+  const results = entries.map(entry => processNewEntry(entry));
+
+  const responseId = getNamedValue(entryData, 'Response ID');
+  if (responseId) {
+    const keptEntryKeys = [];
+    results.forEach((result, index) => {
+      if (result.habitId) keptEntryKeys.push(`${getNamedValue(entries[index], 'Response ID')}|${result.habitId}`);
+    });
+    voidResponseRowsExcept(responseId, keptEntryKeys);
+  }
+  return results;
+}
+
+/**
+ * Splits a form submission into single-habit entries for processNewEntry.
+ * The 'Habit Selection' answer is one entry. Each filled-in row of the 'Daily Checklist'
+ * grid is another, logged as Completed with the chosen count; it shares the submission's
+ * 'Date completed' and person, and takes its comment from the 'Checklist comments' line
+ * starting with its name or ID ("Meditate: felt calm"). Lines that name no habit apply
+ * to every checklist entry. A '0' row is logged as Missed, except for limit habits, where
+ * staying at zero is a Completed entry. Checklist entries get the response ID with CHECKLIST_RESPONSE_SUFFIX,
+ * so they never replace the dropdown entry's row when an edited response is processed.
+ * @param {Object} entryData The named values from the form submission.
+ * @return {Array<Object>} Named values for each habit, in the same shape as a form submission.
+ */
+function splitSubmissionIntoEntries(entryData) {
+  const entries = [];
+  if (getNamedValue(entryData, 'Habit Selection')) {
+    entries.push(entryData);
+  }
+
+  // Grid answers arrive as one named value per row, titled "Daily Checklist [<row>]"
+  const prefix = `${CHECKLIST_QUESTION_TITLE} [`;
+  const checklistRows = Object.keys(entryData)
+    .filter(title => title.indexOf(prefix) === 0 && title.slice(-1) === ']' && getNamedValue(entryData, title))
+    .map(title => ({ choice: parseHabitChoice(title.slice(prefix.length, -1)), count: getNamedValue(entryData, title) }));
+  if (checklistRows.length === 0) return entries;
+
+  const habitComments = {};
+  const generalComments = [];
+  getNamedValue(entryData, CHECKLIST_COMMENTS_TITLE).split('\n').map(line => line.trim()).filter(line => line).forEach(line => {
+    const separator = line.indexOf(':');
+    const label = separator > 0 ? line.slice(0, separator).trim().toLowerCase() : '';
+    const row = label ? checklistRows.find(item =>
+      item.choice.habitName.toLowerCase() === label || (item.choice.habitId || '').toLowerCase() === label) : null;
+    if (row) {
+      habitComments[row.choice.habitName] = line.slice(separator + 1).trim();
+    } else {
+      generalComments.push(line);
+    }
+  });
+
+  let limitHabits = [];
+  if (checklistRows.some(item => item.count === '0')) {
+    const habitsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.HABITS);
+    limitHabits = habitsSheet.getRange(2, 1, habitsSheet.getLastRow() - 1, 15).getValues() // Through column O (Direction)
+      .filter(row => String(row[14] || '').trim().toLowerCase() === 'limit');
+  }
+  const isLimitHabit = choice => limitHabits.some(row => choice.habitId ? row[0] === choice.habitId : row[1] === choice.habitName);
+
+  checklistRows.forEach(item => {
+    const comments = [habitComments[item.choice.habitName]].concat(generalComments).filter(comment => comment);
+    const entry = buildEntryData({
+      habitName: item.choice.habitName,
+      habitId: item.choice.habitId,
+      status: item.count === '0' && !isLimitHabit(item.choice) ? 'Missed' : 'Completed',
+      count: item.count,
+      comments: comments.join('; '),
+      dayKey: getNamedValue(entryData, 'Date completed'),
+      person: getNamedValue(entryData, 'Who are you?'),
+      responseId: getNamedValue(entryData, 'Response ID') ? getNamedValue(entryData, 'Response ID') + CHECKLIST_RESPONSE_SUFFIX : '',
+      editUrl: getNamedValue(entryData, 'Edit URL')
+    });
+    entry['Email Address'] = [getNamedValue(entryData, 'Email Address')];
+    entries.push(entry);
+  });
+  return entries;
 }
 
 /**
  * Calculates the number of days between two dates.
  * @param {Date} date1 The start date.
  * @param {Date} date2 The end date.
- * @return {number} The difference in days.
+ * @return {number} The difference in days; negative if date2 is before date1.
  */
 function getDaysBetweenDates(date1, date2) {
   const oneDay = 1000 * 60 * 60 * 24;
-  const diffTime = Math.abs(date2.getTime() - date1.getTime());
+  const diffTime = date2.getTime() - date1.getTime();
   return Math.ceil(diffTime / oneDay);
 }
 
 /**
- * Checks if two Date objects represent the same calendar day.
+ * Checks if two Date objects fall on the same tracking day.
+ * Uses the shared day-bucketing rules (spreadsheet timezone and DayStartsAtHour).
  * @param {Date} d1 The first date.
  * @param {Date} d2 The second date.
  * @return {boolean} True if they are the same day.
  */
 function isSameDay(d1, d2) {
-  return d1.getFullYear() === d2.getFullYear() &&
-         d1.getMonth() === d2.getMonth() &&
-         d1.getDate() === d2.getDate();
+  return getDayKey(d1) === getDayKey(d2);
 }
 
 /**
- * Gets the total completions for a habit on a specific date
- * @param {Array<Array>} trackingData All tracking data
- * @param {string} habitId The habit ID to check
- * @param {Date} date The date to check
+ * Gets the total completions for a habit on a specific tracking day
+ * @param {Object<string, {completions: number}>} habitDays The habit's days from loadRollupIndex
+ * @param {string} dayKey The day to check ('yyyy-MM-dd', see getDayKey)
  * @return {number} Total completions for that habit on that date
  */
-function getHabitCompletionsForDate(trackingData, habitId, date) {
-  const dateKey = date.toISOString().split('T')[0];
-  
-  return trackingData
-    .filter(entry => {
-      const entryDate = new Date(entry[0]);
-      const entryDateKey = entryDate.toISOString().split('T')[0];
-      return entry[1] === habitId && entryDateKey === dateKey;
-    })
-    .reduce((total, entry) => total + (entry[5] || 1), 0); // Sum ActualCompletions (column F)
+function getHabitCompletionsForDate(habitDays, dayKey) {
+  const day = habitDays[dayKey];
+  return day ? day.completions : 0;
+}
+
+/**
+ * Gets a habit's progress on a tracking day: its completions, or its logged amount
+ * for quantitative habits (those with a TargetAmount)
+ * @param {Object<string, {completions: number, amount: number}>} habitDays The habit's days from loadRollupIndex
+ * @param {string} dayKey The day to check ('yyyy-MM-dd', see getDayKey)
+ * @param {Object} schedule The habit's schedule from getHabitSchedule
+ * @return {number} The day's progress toward the target
+ */
+function getHabitProgressForDate(habitDays, dayKey, schedule) {
+  const day = habitDays[dayKey];
+  if (!day) return 0;
+  return schedule.measure === 'amount' ? day.amount : day.completions;
+}
+
+/**
+ * Checks whether a tracking day has anything to score: an entry, or no entry at all
+ * for zero-limit habits (where not logging means the habit was avoided)
+ * @param {Object<string, Object>} habitDays The habit's days from loadRollupIndex
+ * @param {string} dayKey The day to check ('yyyy-MM-dd', see getDayKey)
+ * @param {Object} schedule The habit's schedule from getHabitSchedule
+ * @return {boolean} True if the day can be scored
+ */
+function hasHabitDataOnDate(habitDays, dayKey, schedule) {
+  return Boolean(habitDays[dayKey]) || isZeroLimit(schedule, dayKey);
 }
 
 /**
- * Checks if a habit was successful on a specific date based on frequency
- * @param {Array<Array>} trackingData All tracking data
- * @param {string} habitId The habit ID to check
- * @param {Date} date The date to check
- * @param {number} targetFrequency Required completions per day
+ * Checks if a habit was successful on a specific tracking day based on frequency
+ * Limit habits succeed by staying at or under the target; unless the limit is zero,
+ * a day without an entry is not a success for them
+ * @param {Object<string, {completions: number, amount: number}>} habitDays The habit's days from loadRollupIndex
+ * @param {string} dayKey The day to check ('yyyy-MM-dd', see getDayKey)
+ * @param {Object} schedule The habit's schedule from getHabitSchedule
  * @return {boolean} True if habit met its frequency target
  */
-function wasHabitSuccessfulOnDate(trackingData, habitId, date, targetFrequency) {
-  const completions = getHabitCompletionsForDate(trackingData, habitId, date);
-  return completions >= targetFrequency;
-}
\ No newline at end of file
+function wasHabitSuccessfulOnDate(habitDays, dayKey, schedule) {
+  if (schedule.direction === 'limit' && !hasHabitDataOnDate(habitDays, dayKey, schedule)) return false;
+  return meetsHabitTarget(schedule, getHabitProgressForDate(habitDays, dayKey, schedule), dayKey);
+}
+
+/**
+ * Checks if a habit day was marked Excused (sick, travel, rest day)
+ * @param {Object<string, {excused: number}>} habitDays The habit's days from loadRollupIndex
+ * @param {string} dayKey The day to check ('yyyy-MM-dd', see getDayKey)
+ * @return {boolean} True if at least one Excused entry was logged for that day
+ */
+function wasHabitExcusedOnDate(habitDays, dayKey) {
+  const day = habitDays[dayKey];
+  return Boolean(day && day.excused > 0);
+}
+
+/**
+ * Name of the group for habits without a Category.
+ */
+const UNCATEGORIZED_LABEL = 'Uncategorized';
+
+/**
+ * Gets a habit's category from its Category column (P)
+ * @param {Array} habit The habit row from Habits_Main
+ * @return {string} The category, or 'Uncategorized' if the column is blank
+ */
+function getHabitCategory(habit) {
+  return String(habit[15] || '').trim() || UNCATEGORIZED_LABEL; // Column P is Category
+}
+
+/**
+ * Sorts habit rows by category (alphabetically, with Uncategorized last),
+ * keeping the sheet order of habits within each category
+ * @param {Array<Array>} habits The habit rows from Habits_Main
+ * @return {Array<Array>} A sorted copy of the rows
+ */
+function sortHabitsByCategory(habits) {
+  return habits.slice().sort((a, b) => {
+    const categoryA = getHabitCategory(a);
+    const categoryB = getHabitCategory(b);
+    if (categoryA === categoryB) return 0;
+    if (categoryA === UNCATEGORIZED_LABEL) return 1;
+    if (categoryB === UNCATEGORIZED_LABEL) return -1;
+    return categoryA.localeCompare(categoryB);
+  });
+}